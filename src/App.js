@@ -1,10 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, onAuthStateChanged } from 'firebase/auth';
+import { connectAuthEmulator, getAuth, onAuthStateChanged } from 'firebase/auth';
+import { connectFirestoreEmulator } from 'firebase/firestore';
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import Login from './components/Login';
 import Register from './components/Register';
 import DesignDashboard from './components/DesignDashboard';
+import useUserDesigns from './hooks/useUserDesigns';
+import { initializeDesignStore } from './utils/designStore';
 
 // Replace with your Firebase configuration
 const firebaseConfig = {
@@ -18,24 +21,30 @@ const firebaseConfig = {
 };
 
 const app = initializeApp(firebaseConfig);
+const db = initializeDesignStore(app);
+
+// Set REACT_APP_FIREBASE_EMULATOR_HOST (e.g. localhost) to run against the Firebase emulator suite
+// started from firebase.json instead of the live project
+const emulatorHost = process.env.REACT_APP_FIREBASE_EMULATOR_HOST;
+if (emulatorHost) {
+  connectAuthEmulator(getAuth(app), `http://${emulatorHost}:9099`, { disableWarnings: true });
+  connectFirestoreEmulator(db, emulatorHost, 8080);
+}
 
 const App = () => {
-  const [isLoggedIn, setIsLoggedIn] = useState(null);
-  const [designs, setDesigns] = useState(JSON.parse(localStorage.getItem('designs')) || []);
+  const [user, setUser] = useState(undefined);
   const auth = getAuth();
+  const { designs, setDesigns, syncStatus, recordRevision, watchRevisions, reportError } = useUserDesigns(db, user);
+  const isLoggedIn = Boolean(user);
 
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, (user) => {
-      setIsLoggedIn(!!user);
+    const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
+      setUser(currentUser);
     });
     return () => unsubscribe();
   }, [auth]);
 
-  useEffect(() => {
-    localStorage.setItem('designs', JSON.stringify(designs));
-  }, [designs]);
-
-  if (isLoggedIn === null) {
+  if (user === undefined) {
     return React.createElement('div', { className: 'min-h-screen flex items-center justify-center bg-gray-100' }, 'Loading...');
   }
 
@@ -56,7 +65,14 @@ const App = () => {
       React.createElement(Route, {
         path: '/dashboard',
         element: isLoggedIn
-          ? React.createElement(DesignDashboard, { designs, setDesigns })
+          ? React.createElement(DesignDashboard, {
+              designs,
+              setDesigns,
+              syncStatus,
+              recordRevision,
+              watchRevisions,
+              reportError
+            })
           : React.createElement(Navigate, { to: '/' })
       })
     )
@@ -110,6 +110,7 @@ const Checkout = ({ cart, setCart, setShowCheckout }) => {
                       />
                       <div className="flex-1">
                         <p className="font-medium text-gray-900">{item.name}</p>
+                        {item.optionName && <p className="text-sm text-gray-500">{item.optionName}</p>}
                         <p className="text-gray-600">
                           ${item.price.toFixed(2)} x {item.quantity}
                         </p>
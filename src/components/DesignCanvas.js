@@ -1,7 +1,22 @@
-import React, { useRef, useState, useEffect } from 'react';
-import { Canvas, useLoader, useThree } from '@react-three/fiber';
-import { OrbitControls, OrthographicCamera, PerspectiveCamera } from '@react-three/drei';
+import React, { Suspense, useRef, useState, useEffect, useLayoutEffect, useMemo } from 'react';
+import { Canvas, useFrame, useLoader, useThree } from '@react-three/fiber';
+import { Html, OrbitControls, OrthographicCamera, PerspectiveCamera } from '@react-three/drei';
 import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { boundsOverlap, getBounds, getFootprint, normalizeRotation } from '../utils/furnitureBounds';
+import { snapPosition, snapToGrid } from '../utils/furnitureSnap';
+import { distanceBetween, formatMetres, getClearances } from '../utils/furnitureMeasure';
+import { getFurnitureType, getItemSlots, getMaterial } from '../utils/furnitureRegistry';
+import { getOutlineBounds, getRoomOutline, getWallFrames, outlineCrossings } from '../utils/roomGeometry';
+import { getOpeningPlacements, openingsOverlap } from '../utils/wallOpenings';
+import { getDaylight, getLightSettings, kelvinToColor } from '../utils/lighting';
+import { getRoomFinishes } from '../utils/surfaceFinishes';
+import { EXPORT_ROOT_NAME } from '../utils/sceneExport';
+import { EYE_HEIGHT_RANGE, getWalkStart, moveWithCollisions } from '../utils/walkthrough';
+import { DEFAULT_VIEW, easeInOut, getCameraPose } from '../utils/cameraViews';
+import { getCacheStats, getSharedGeometry, getSharedMaterial } from '../utils/sceneCache';
+import { groupForInstancing } from '../utils/furnitureInstancing';
+import { DIFF_COLORS } from '../utils/designDiff';
 
 // Helper function to adjust color brightness based on shade (0-100)
 function adjustColorBrightness(hexColor, shade) {
@@ -74,273 +89,838 @@ function hueToRgb(p, q, t) {
   return p;
 }
 
-function Room({ room }) {
-  const wallTexture = useLoader(THREE.TextureLoader, `/textures/${room.wallTexture || 'patterned_concrete_wall_diff_1k.jpg'}`, (loader) => {
-    loader.setCrossOrigin('anonymous');
-  });
-  const floorTexture = useLoader(THREE.TextureLoader, '/textures/wooden_floor_02_diff_1k.jpg', (loader) => {
-    loader.setCrossOrigin('anonymous');
-  });
-  const ceilingTexture = useLoader(THREE.TextureLoader, '/textures/ceiling_tile_diff_1k.jpg', (loader) => {
-    loader.setCrossOrigin('anonymous');
-  });
+// Rotation is stored on the item in degrees around the vertical (Y) axis
+function getRotationY(item) {
+  return THREE.MathUtils.degToRad(item.rotation || 0);
+}
+
+// Meshes sit inside the component's own group, so walk up to the wrapper that carries the item id.
+// Instanced meshes keep the id of every instance instead.
+function getFurnitureId({ object, instanceId }) {
+  if (instanceId !== undefined && object.userData.ids) return object.userData.ids[instanceId];
+  let current = object;
+  while (current && current.userData.id === undefined) {
+    current = current.parent;
+  }
+  return current ? current.userData.id : undefined;
+}
+
+// Grid lines over the floor, laid out on multiples of the step from the room centre so they
+// line up with the positions snapping produces
+function FloorGrid({ outline, height, step }) {
+  const geometry = useMemo(() => {
+    const bounds = getOutlineBounds(outline);
+    const points = [];
+    for (let x = Math.ceil(bounds.minX / step) * step; x <= bounds.maxX + 1e-6; x += step) {
+      const hits = outlineCrossings(outline, 'x', x);
+      for (let i = 0; i + 1 < hits.length; i += 2) points.push(x, 0, hits[i], x, 0, hits[i + 1]);
+    }
+    for (let z = Math.ceil(bounds.minZ / step) * step; z <= bounds.maxZ + 1e-6; z += step) {
+      const hits = outlineCrossings(outline, 'z', z);
+      for (let i = 0; i + 1 < hits.length; i += 2) points.push(hits[i], 0, z, hits[i + 1], 0, z);
+    }
+    const grid = new THREE.BufferGeometry();
+    grid.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+    return grid;
+  }, [outline, step]);
+
+  return (
+    <lineSegments geometry={geometry} position={[0, -height / 2 + 0.01, 0]} userData={{ helper: true }}>
+      <lineBasicMaterial color="#4b5563" transparent opacity={0.35} depthWrite={false} />
+    </lineSegments>
+  );
+}
+
+// Flat floor/ceiling shape for the outline. UVs are in tiles of the finish (metres / tile size)
+// measured from the room's corner, so the texture repeats at real-world scale. `flip` mirrors Z
+// for the floor, which is rotated the other way up.
+function createOutlineGeometry(outline, flip, tileSize) {
+  const shape = new THREE.Shape(outline.map(({ x, z }) => new THREE.Vector2(x, flip ? -z : z)));
+  const geometry = new THREE.ShapeGeometry(shape);
+  const bounds = getOutlineBounds(outline);
+  const position = geometry.attributes.position;
+  const uv = geometry.attributes.uv;
+  for (let i = 0; i < position.count; i++) {
+    const y = position.getY(i);
+    uv.setXY(
+      i,
+      (position.getX(i) - bounds.minX) / tileSize.width,
+      (flip ? y + bounds.maxZ : y - bounds.minZ) / tileSize.height
+    );
+  }
+  return geometry;
+}
+
+// Wall plane with doors notched into its bottom edge and windows cut out as holes. Cutouts are in
+// the plane's own coordinates ({ x0, x1, y0, y1 }, origin at the wall centre); UVs count tiles of
+// the wall finish from the wall's bottom corner.
+function createWallGeometry(length, height, cutouts, tileSize) {
+  const halfL = length / 2;
+  const halfH = height / 2;
+  const isDoor = (cutout) => cutout.y0 <= -halfH + 1e-6;
+  const shape = new THREE.Shape();
+  shape.moveTo(-halfL, -halfH);
+  cutouts
+    .filter(isDoor)
+    .sort((a, b) => a.x0 - b.x0)
+    .forEach(({ x0, x1, y1 }) => {
+      shape.lineTo(x0, -halfH);
+      shape.lineTo(x0, y1);
+      shape.lineTo(x1, y1);
+      shape.lineTo(x1, -halfH);
+    });
+  shape.lineTo(halfL, -halfH);
+  shape.lineTo(halfL, halfH);
+  shape.lineTo(-halfL, halfH);
+  shape.closePath();
+  cutouts
+    .filter((cutout) => !isDoor(cutout))
+    .forEach(({ x0, x1, y0, y1 }) => {
+      const hole = new THREE.Path();
+      hole.moveTo(x0, y0);
+      hole.lineTo(x1, y0);
+      hole.lineTo(x1, y1);
+      hole.lineTo(x0, y1);
+      hole.closePath();
+      shape.holes.push(hole);
+    });
+
+  const geometry = new THREE.ShapeGeometry(shape);
+  const position = geometry.attributes.position;
+  const uv = geometry.attributes.uv;
+  for (let i = 0; i < position.count; i++) {
+    uv.setXY(i, (position.getX(i) + halfL) / tileSize.width, (position.getY(i) + halfH) / tileSize.height);
+  }
+  return geometry;
+}
+
+// Door leaves (drawn ajar) and window glass in the wall openings
+function OpeningFittings({ placement, roomHeight }) {
+  const { opening, wall, hinge, latch } = placement;
+  const bottom = -roomHeight / 2 + opening.sill;
+  const rotation = Math.atan2(wall.normal.x, wall.normal.z);
+
+  if (opening.type === 'window') {
+    const centre = { x: (placement.a.x + placement.b.x) / 2, z: (placement.a.z + placement.b.z) / 2 };
+    return (
+      <group position={[centre.x, bottom, centre.z]} rotation={[0, rotation, 0]}>
+        <mesh position={[0, opening.height / 2, 0]}>
+          <planeGeometry args={[opening.width, opening.height]} />
+          <meshStandardMaterial color="#bfdbfe" transparent opacity={0.3} roughness={0.1} side={THREE.DoubleSide} />
+        </mesh>
+        <mesh position={[0, 0, 0.06]} castShadow receiveShadow>
+          <boxGeometry args={[opening.width + 0.1, 0.04, 0.12]} />
+          <meshStandardMaterial color="#f8fafc" roughness={0.6} />
+        </mesh>
+      </group>
+    );
+  }
+
+  // Closed, the leaf runs from hinge to latch; open it 30° into the room
+  const closed = { x: (latch.x - hinge.x) / opening.width, z: (latch.z - hinge.z) / opening.width };
+  const angle = Math.PI / 6;
+  const open = {
+    x: closed.x * Math.cos(angle) + wall.normal.x * Math.sin(angle),
+    z: closed.z * Math.cos(angle) + wall.normal.z * Math.sin(angle),
+  };
+  return (
+    <group position={[hinge.x, bottom, hinge.z]} rotation={[0, Math.atan2(-open.z, open.x), 0]}>
+      <mesh position={[opening.width / 2, opening.height / 2, 0]} castShadow receiveShadow>
+        <boxGeometry args={[opening.width, opening.height, 0.04]} />
+        <meshStandardMaterial color="#a16207" roughness={0.7} />
+      </mesh>
+    </group>
+  );
+}
+
+// 2D symbols: the swing arc and open leaf of each door, a double line for each window. Openings
+// with furniture in the way are drawn in red.
+function OpeningPlan({ placements, roomHeight, blockedOpenings }) {
+  const { geometry, blockedGeometry } = useMemo(() => {
+    const points = { clear: [], blocked: [] };
+    placements.forEach(({ opening, wall, a, b, hinge, latch }) => {
+      const target = blockedOpenings[opening.id] ? points.blocked : points.clear;
+      const segment = (p, q) => target.push(p.x, 0, p.z, q.x, 0, q.z);
+      if (opening.type === 'window') {
+        [0.03, 0.09].forEach((inset) => {
+          const shift = (point) => ({ x: point.x + wall.normal.x * inset, z: point.z + wall.normal.z * inset });
+          segment(shift(a), shift(b));
+        });
+        return;
+      }
+      const closed = { x: (latch.x - hinge.x) / opening.width, z: (latch.z - hinge.z) / opening.width };
+      const swing = (angle) => ({
+        x: hinge.x + opening.width * (closed.x * Math.cos(angle) + wall.normal.x * Math.sin(angle)),
+        z: hinge.z + opening.width * (closed.z * Math.cos(angle) + wall.normal.z * Math.sin(angle)),
+      });
+      segment(hinge, swing(Math.PI / 2));
+      const steps = 16;
+      for (let i = 0; i < steps; i++) {
+        segment(swing((Math.PI / 2) * (i / steps)), swing((Math.PI / 2) * ((i + 1) / steps)));
+      }
+    });
+    const build = (list) => {
+      const lines = new THREE.BufferGeometry();
+      lines.setAttribute('position', new THREE.Float32BufferAttribute(list, 3));
+      return lines;
+    };
+    return { geometry: build(points.clear), blockedGeometry: build(points.blocked) };
+  }, [placements, blockedOpenings]);
+
+  return (
+    <group position={[0, -roomHeight / 2 + 0.02, 0]} userData={{ helper: true }}>
+      <lineSegments geometry={geometry}>
+        <lineBasicMaterial color="#0f172a" />
+      </lineSegments>
+      <lineSegments geometry={blockedGeometry}>
+        <lineBasicMaterial color="#e11d48" />
+      </lineSegments>
+    </group>
+  );
+}
+
+function Room({ room, gridStep, showOpeningPlan = false, blockedOpenings = {} }) {
+  const finishes = getRoomFinishes(room);
+  const [wallTexture, floorTexture, ceilingTexture] = useLoader(
+    THREE.TextureLoader,
+    [finishes.wall.file, finishes.floor.file, finishes.ceiling.file].map((file) => `/textures/${file}`),
+    (loader) => {
+      loader.setCrossOrigin('anonymous');
+    }
+  );
+  // UVs run past 1 on anything bigger than one tile
+  useEffect(() => {
+    [wallTexture, floorTexture, ceilingTexture].forEach((texture) => {
+      if (texture.wrapS === THREE.RepeatWrapping && texture.wrapT === THREE.RepeatWrapping) return;
+      texture.wrapS = THREE.RepeatWrapping;
+      texture.wrapT = THREE.RepeatWrapping;
+      texture.needsUpdate = true;
+    });
+  }, [wallTexture, floorTexture, ceilingTexture]);
 
-  const width = room.width || 10;
   const height = room.height || 5;
-  const depth = room.depth || 10;
   const wallColor = room.color || '#f0f0f0';
+  const outline = useMemo(
+    () => getRoomOutline({ ...room, width: room.width || 10, depth: room.depth || 10 }),
+    [room]
+  );
+  const floorTile = finishes.floor.tileSize;
+  const ceilingTile = finishes.ceiling.tileSize;
+  const wallTile = finishes.wall.tileSize;
+  const floorGeometry = useMemo(() => createOutlineGeometry(outline, true, floorTile), [outline, floorTile]);
+  const ceilingGeometry = useMemo(() => createOutlineGeometry(outline, false, ceilingTile), [outline, ceilingTile]);
+
+  // Openings that overlap one added earlier on the same wall are skipped rather than cut twice
+  const placements = useMemo(
+    () =>
+      getOpeningPlacements({ ...room, height, outline }).filter(
+        (placement, i, all) => !all.slice(0, i).some((other) => openingsOverlap(other.opening, placement.opening))
+      ),
+    [room, height, outline]
+  );
+
+  // One plane per wall, turned to face into the room, with its openings cut out
+  const walls = useMemo(
+    () =>
+      getWallFrames(outline).map((wall, index) => {
+        // Plane +X runs along the wall direction or against it, depending on which side faces in
+        const sign = wall.direction.x * wall.normal.z - wall.direction.z * wall.normal.x > 0 ? 1 : -1;
+        const cutouts = placements
+          .filter(({ opening }) => opening.wall === index)
+          .map(({ opening }) => {
+            const from = (opening.offset - opening.width / 2 - wall.length / 2) * sign;
+            const to = (opening.offset + opening.width / 2 - wall.length / 2) * sign;
+            const y0 = -height / 2 + opening.sill;
+            return { x0: Math.min(from, to), x1: Math.max(from, to), y0, y1: y0 + opening.height };
+          });
+        return {
+          mid: wall.mid,
+          rotation: Math.atan2(wall.normal.x, wall.normal.z),
+          geometry: createWallGeometry(wall.length, height, cutouts, wallTile),
+        };
+      }),
+    [outline, placements, height, wallTile]
+  );
+
+  useEffect(() => () => walls.forEach((wall) => wall.geometry.dispose()), [walls]);
+  useEffect(() => () => floorGeometry.dispose(), [floorGeometry]);
+  useEffect(() => () => ceilingGeometry.dispose(), [ceilingGeometry]);
 
   return (
     <group>
-      <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, -height / 2, 0]} receiveShadow>
-        <planeGeometry args={[width, depth]} />
+      <mesh geometry={floorGeometry} rotation={[-Math.PI / 2, 0, 0]} position={[0, -height / 2, 0]} receiveShadow>
         <meshStandardMaterial map={floorTexture} color={wallColor} roughness={0.6} />
       </mesh>
-      <mesh rotation={[Math.PI / 2, 0, 0]} position={[0, height / 2, 0]} receiveShadow>
-        <planeGeometry args={[width, depth]} />
+      {gridStep && <FloorGrid outline={outline} height={height} step={gridStep} />}
+      <mesh geometry={ceilingGeometry} rotation={[Math.PI / 2, 0, 0]} position={[0, height / 2, 0]} receiveShadow>
         <meshStandardMaterial map={ceilingTexture} color={wallColor} roughness={0.4} />
       </mesh>
-      <mesh position={[0, 0, -depth / 2]} receiveShadow>
-        <planeGeometry args={[width, height]} />
-        <meshStandardMaterial map={wallTexture} color={wallColor} roughness={0.5} />
-      </mesh>
-      <mesh position={[0, 0, depth / 2]} rotation={[0, Math.PI, 0]} receiveShadow>
-        <planeGeometry args={[width, height]} />
-        <meshStandardMaterial map={wallTexture} color={wallColor} roughness={0.5} />
-      </mesh>
-      <mesh position={[-width / 2, 0, 0]} rotation={[0, Math.PI / 2, 0]} receiveShadow>
-        <planeGeometry args={[depth, height]} />
-        <meshStandardMaterial map={wallTexture} color={wallColor} roughness={0.5} />
-      </mesh>
-      <mesh position={[width / 2, 0, 0]} rotation={[0, -Math.PI / 2, 0]} receiveShadow>
-        <planeGeometry args={[depth, height]} />
-        <meshStandardMaterial map={wallTexture} color={wallColor} roughness={0.5} />
-      </mesh>
+      {/* Walls cast shadows so low sun only reaches the floor through the windows; the ceiling doesn't,
+          which keeps the open-top editor view lit at midday */}
+      {walls.map((wall, i) => (
+        <mesh key={i} geometry={wall.geometry} position={[wall.mid.x, 0, wall.mid.z]} rotation={[0, wall.rotation, 0]} castShadow receiveShadow>
+          <meshStandardMaterial map={wallTexture} color={wallColor} roughness={0.5} />
+        </mesh>
+      ))}
+      {placements.map((placement) => (
+        <OpeningFittings key={placement.opening.id} placement={placement} roomHeight={height} />
+      ))}
+      {showOpeningPlan && placements.length > 0 && (
+        <OpeningPlan placements={placements} roomHeight={height} blockedOpenings={blockedOpenings} />
+      )}
     </group>
   );
 }
 
-function Chair({ item, roomHeight }) {
-  const woodTexture = useLoader(THREE.TextureLoader, '/textures/wood_025_diff_1k.jpg', (loader) => {
+// Point or spot light of a light fixture. Spots shine straight down: the light is turned so its
+// target, a child one metre along -Z, sits below it (which also keeps glTF export happy).
+function FixtureLight({ light, settings }) {
+  const target = useMemo(() => new THREE.Object3D(), []);
+  if (!settings.on) return null;
+  const color = kelvinToColor(settings.temperature);
+  const intensity = light.intensity * settings.brightness;
+
+  if (light.kind === 'spot') {
+    return (
+      <spotLight
+        position={light.position}
+        rotation={[-Math.PI / 2, 0, 0]}
+        target={target}
+        color={color}
+        intensity={intensity}
+        distance={light.distance}
+        angle={light.angle || Math.PI / 3}
+        penumbra={0.5}
+        decay={2}
+      >
+        <primitive object={target} position={[0, 0, -1]} />
+      </spotLight>
+    );
+  }
+  return <pointLight position={light.position} color={color} intensity={intensity} distance={light.distance} decay={2} />;
+}
+
+// Materials for each slot of an item, with their textures loaded
+function useFurnitureMaterials(item, definition) {
+  const materials = Object.fromEntries(
+    Object.entries(getItemSlots(item, definition)).map(([slot, materialId]) => [slot, getMaterial(materialId)])
+  );
+  const textureFiles = Array.from(
+    new Set(Object.values(materials).map((material) => material.texture).filter(Boolean))
+  );
+  const loaded = useLoader(THREE.TextureLoader, textureFiles.map((file) => `/textures/${file}`), (loader) => {
     loader.setCrossOrigin('anonymous');
   });
+  const textures = Object.fromEntries(textureFiles.map((file, i) => [file, loaded[i]]));
+  const color = adjustColorBrightness(item.color || definition.defaults.color, item.shade || definition.defaults.shade);
+  // MeshStandardMaterial parameters for a part, before any light-fixture glow
+  return (part) => {
+    const material = materials[part.slot];
+    return {
+      map: material.texture ? textures[material.texture] : null,
+      color: material.tinted ? color : material.color || '#ffffff',
+      roughness: material.roughness !== undefined ? material.roughness : 1,
+      metalness: material.metalness || 0,
+      emissive: material.emissive || '#000000',
+      emissiveIntensity: material.emissiveIntensity !== undefined ? material.emissiveIntensity : 1,
+    };
+  };
+}
+
+// Renders any registered furniture type from its definition in src/data/furnitureTypes.json.
+// Geometries and materials come from the shared cache; only a fixture's glowing part gets a
+// material of its own, since it follows the light's settings.
+function FurnitureModel({ item, definition, roomHeight }) {
+  const getPartMaterial = useFurnitureMaterials(item, definition);
   const scale = item.scale || 1;
-  const color = adjustColorBrightness(item.color || '#8B4513', item.shade || 50);
+  const lightSettings = definition.light ? getLightSettings(item, definition) : null;
+  const mountY = definition.mount === 'ceiling' ? roomHeight / 2 : -roomHeight / 2;
 
   return (
-    <group position={[item.x || 0, -roomHeight / 2, item.z || 0]} scale={scale}>
-      <mesh position={[0, 0.5, 0]} castShadow receiveShadow>
-        <boxGeometry args={[1, 0.1, 1]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
-      </mesh>
-      <mesh position={[0, 1.2, -0.4]} castShadow receiveShadow>
-        <boxGeometry args={[1, 0.8, 0.1]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
-      </mesh>
-      <mesh position={[-0.4, 0.25, -0.4]} castShadow receiveShadow>
-        <cylinderGeometry args={[0.05, 0.05, 0.5, 16]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
-      </mesh>
-      <mesh position={[-0.4, 0.25, 0.4]} castShadow receiveShadow>
-        <cylinderGeometry args={[0.05, 0.05, 0.5, 16]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
-      </mesh>
-      <mesh position={[0.4, 0.25, -0.4]} castShadow receiveShadow>
-        <cylinderGeometry args={[0.05, 0.05, 0.5, 16]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
-      </mesh>
-      <mesh position={[0.4, 0.25, 0.4]} castShadow receiveShadow>
-        <cylinderGeometry args={[0.05, 0.05, 0.5, 16]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
-      </mesh>
+    <group position={[item.x || 0, mountY, item.z || 0]} rotation={[0, getRotationY(item), 0]} scale={scale}>
+      {definition.parts.map((part, i) => {
+        const params = getPartMaterial(part);
+        // The glowing part of a light fixture follows its colour temperature and goes dark when off
+        const glows = lightSettings && part.slot === definition.light.slot;
+        return (
+          <mesh
+            key={i}
+            position={part.position}
+            rotation={part.rotation || [0, 0, 0]}
+            geometry={getSharedGeometry(part.geometry, part.args)}
+            material={glows ? undefined : getSharedMaterial(params)}
+            castShadow={part.castShadow !== false}
+            receiveShadow={part.receiveShadow !== false}
+          >
+            {glows && (
+              <meshStandardMaterial
+                {...params}
+                emissive={kelvinToColor(lightSettings.temperature)}
+                emissiveIntensity={lightSettings.on ? params.emissiveIntensity * lightSettings.brightness : 0}
+              />
+            )}
+          </mesh>
+        );
+      })}
+      {lightSettings && <FixtureLight light={definition.light} settings={lightSettings} />}
     </group>
   );
 }
 
-function Table({ item, roomHeight }) {
-  const woodTexture = useLoader(THREE.TextureLoader, '/textures/wood_025_diff_1k.jpg', (loader) => {
-    loader.setCrossOrigin('anonymous');
-  });
-  const scale = item.scale || 1;
-  const color = adjustColorBrightness(item.color || '#8B4513', item.shade || 50);
+// One part of a batch of look-alike pieces as a single instanced mesh. Each instance's matrix is
+// the item's placement times the part's offset within it.
+function PartInstances({ part, items, mountY, geometry, material }) {
+  const meshRef = useRef();
+  const invalidate = useThree((state) => state.invalidate);
+
+  useLayoutEffect(() => {
+    const mesh = meshRef.current;
+    const partMatrix = new THREE.Matrix4().compose(
+      new THREE.Vector3(...(part.position || [0, 0, 0])),
+      new THREE.Quaternion().setFromEuler(new THREE.Euler(...(part.rotation || [0, 0, 0]))),
+      new THREE.Vector3(1, 1, 1)
+    );
+    const itemMatrix = new THREE.Matrix4();
+    items.forEach((item, i) => {
+      const scale = item.scale || 1;
+      itemMatrix.compose(
+        new THREE.Vector3(item.x || 0, mountY, item.z || 0),
+        new THREE.Quaternion().setFromAxisAngle(UP, getRotationY(item)),
+        new THREE.Vector3(scale, scale, scale)
+      );
+      mesh.setMatrixAt(i, itemMatrix.multiply(partMatrix));
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    // Picking and frustum culling both go by the bounds of all instances
+    mesh.computeBoundingSphere();
+    mesh.userData.ids = items.map((item) => item.id);
+    invalidate();
+  }, [part, items, mountY, invalidate]);
 
   return (
-    <group position={[item.x || 0, -roomHeight / 2, item.z || 0]} scale={scale}>
-      <mesh position={[0, 0.8, 0]} castShadow receiveShadow>
-        <boxGeometry args={[2, 0.2, 1.5]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
-      </mesh>
-      <mesh position={[-0.9, 0.4, -0.65]} castShadow receiveShadow>
-        <cylinderGeometry args={[0.05, 0.05, 0.8, 16]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
-      </mesh>
-      <mesh position={[-0.9, 0.4, 0.65]} castShadow receiveShadow>
-        <cylinderGeometry args={[0.05, 0.05, 0.8, 16]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
-      </mesh>
-      <mesh position={[0.9, 0.4, -0.65]} castShadow receiveShadow>
-        <cylinderGeometry args={[0.05, 0.05, 0.8, 16]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
-      </mesh>
-      <mesh position={[0.9, 0.4, 0.65]} castShadow receiveShadow>
-        <cylinderGeometry args={[0.05, 0.05, 0.8, 16]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
-      </mesh>
-    </group>
+    <instancedMesh
+      ref={meshRef}
+      args={[geometry, material, items.length]}
+      castShadow={part.castShadow !== false}
+      receiveShadow={part.receiveShadow !== false}
+    />
   );
 }
 
-function Sofa({ item, roomHeight }) {
-  const fabricTexture = useLoader(THREE.TextureLoader, '/textures/fabric_001_diff_1k.jpg', (loader) => {
-    loader.setCrossOrigin('anonymous');
+// Identical pieces (see utils/furnitureInstancing) cost one draw call per part however many there are
+function InstancedFurniture({ items, definition, roomHeight }) {
+  const getPartMaterial = useFurnitureMaterials(items[0], definition);
+  const mountY = definition.mount === 'ceiling' ? roomHeight / 2 : -roomHeight / 2;
+
+  return definition.parts.map((part, i) => (
+    <PartInstances
+      key={i}
+      part={part}
+      items={items}
+      mountY={mountY}
+      geometry={getSharedGeometry(part.geometry, part.args)}
+      material={getSharedMaterial(getPartMaterial(part))}
+    />
+  ));
+}
+
+// Feeds the performance overlay: frames drawn in the last half second, plus the renderer's draw
+// calls and triangles for the latest frame. Writes straight to the DOM so the overlay never
+// re-renders the scene.
+function PerformanceProbe({ outputRef, itemCount }) {
+  const gl = useThree((state) => state.gl);
+  const frames = useRef(0);
+
+  useFrame(() => {
+    frames.current += 1;
   });
+
+  useEffect(() => {
+    let last = performance.now();
+    const interval = setInterval(() => {
+      const now = performance.now();
+      const fps = (frames.current * 1000) / (now - last);
+      frames.current = 0;
+      last = now;
+      if (!outputRef.current) return;
+      const { calls, triangles } = gl.info.render;
+      const cache = getCacheStats();
+      outputRef.current.textContent = [
+        `${Math.round(fps)} fps (drawn on demand)`,
+        `${calls} draw calls`,
+        `${triangles.toLocaleString()} triangles`,
+        `${itemCount} items, ${cache.materials} shared materials`,
+      ].join('\n');
+    }, 500);
+    return () => clearInterval(interval);
+  }, [gl, outputRef, itemCount]);
+
+  return null;
+}
+
+// Hands the three.js scene to the dashboard for exports and snapshots
+function SceneHandle({ handleRef }) {
+  const { scene, gl, camera } = useThree();
+
+  useEffect(() => {
+    if (!handleRef) return undefined;
+    handleRef.current = { scene, gl, camera };
+    return () => {
+      handleRef.current = null;
+    };
+  }, [handleRef, scene, gl, camera]);
+
+  return null;
+}
+
+// Furniture imported from a .glb/.gltf file. The stored scale and offset stand it on the floor at
+// real-world size; a colour, once picked, tints every material like the built-in pieces.
+function CustomModel({ item, roomHeight }) {
+  const gltf = useLoader(GLTFLoader, item.model.dataUrl);
   const scale = item.scale || 1;
-  const color = adjustColorBrightness(item.color || '#4B0082', item.shade || 30);
+  const tint = item.color ? adjustColorBrightness(item.color, item.shade || 50) : null;
+
+  const model = useMemo(() => {
+    const clone = gltf.scene.clone(true);
+    clone.traverse((object) => {
+      if (object.isMesh) {
+        object.castShadow = true;
+        object.receiveShadow = true;
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        const tinted = materials.map((material) => {
+          const copy = material.clone();
+          if (tint && copy.color) copy.color.set(tint);
+          return copy;
+        });
+        object.material = Array.isArray(object.material) ? tinted : tinted[0];
+      }
+    });
+    return clone;
+  }, [gltf, tint]);
 
   return (
-    <group position={[item.x || 0, -roomHeight / 2, item.z || 0]} scale={scale}>
-      <mesh position={[0, 0.5, 0]} castShadow receiveShadow>
-        <boxGeometry args={[3, 0.5, 1]} />
-        <meshStandardMaterial map={fabricTexture} color={color} roughness={0.8} />
-      </mesh>
-      <mesh position={[0, 1, -0.4]} castShadow receiveShadow>
-        <boxGeometry args={[3, 1, 0.2]} />
-        <meshStandardMaterial map={fabricTexture} color={color} roughness={0.8} />
-      </mesh>
-      <mesh position={[-1.3, 0.75, 0]} castShadow receiveShadow>
-        <boxGeometry args={[0.4, 0.5, 1]} />
-        <meshStandardMaterial map={fabricTexture} color={color} roughness={0.8} />
-      </mesh>
-      <mesh position={[1.3, 0.75, 0]} castShadow receiveShadow>
-        <boxGeometry args={[0.4, 0.5, 1]} />
-        <meshStandardMaterial map={fabricTexture} color={color} roughness={0.8} />
-      </mesh>
+    <group position={[item.x || 0, -roomHeight / 2, item.z || 0]} rotation={[0, getRotationY(item), 0]} scale={scale}>
+      <group scale={item.model.scale}>
+        <primitive object={model} position={item.model.offset} />
+      </group>
     </group>
   );
 }
 
-function Bookshelf({ item, roomHeight }) {
-  const woodTexture = useLoader(THREE.TextureLoader, '/textures/wood_025_diff_1k.jpg', (loader) => {
-    loader.setCrossOrigin('anonymous');
-  });
-  const scale = item.scale || 1;
-  const color = adjustColorBrightness(item.color || '#8B4513', item.shade || 50);
+// Footprint drawn on the floor under an item: red for items that are blocked, overlapping or
+// outside the room, and in the diff colours when comparing revisions
+function FootprintHighlight({ item, roomHeight, color = '#e11d48', opacity = 0.45 }) {
+  const { width, depth } = getFootprint(item);
 
   return (
-    <group position={[item.x || 0, -roomHeight / 2, item.z || 0]} scale={scale}>
-      <mesh position={[0, 1, 0]} castShadow receiveShadow>
-        <boxGeometry args={[2, 2, 0.5]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
-      </mesh>
-      <mesh position={[0, 0.5, 0]} castShadow receiveShadow>
-        <boxGeometry args={[2, 0.1, 0.5]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
-      </mesh>
-      <mesh position={[0, 1.5, 0]} castShadow receiveShadow>
-        <boxGeometry args={[2, 0.1, 0.5]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
+    <group position={[item.x || 0, -roomHeight / 2 + 0.02, item.z || 0]} rotation={[0, getRotationY(item), 0]} userData={{ helper: true }}>
+      <mesh rotation={[-Math.PI / 2, 0, 0]} renderOrder={1}>
+        <planeGeometry args={[width, depth]} />
+        <meshBasicMaterial color={color} transparent opacity={opacity} depthWrite={false} />
       </mesh>
     </group>
   );
 }
 
-function TVStand({ item, roomHeight }) {
-  const woodTexture = useLoader(THREE.TextureLoader, '/textures/wood_025_diff_1k.jpg', (loader) => {
-    loader.setCrossOrigin('anonymous');
-  });
-  const scale = item.scale || 1;
-  const color = adjustColorBrightness(item.color || '#2F4F4F', item.shade || 50);
+// Outline frame around the footprint of a selected item
+function SelectionOutline({ item, roomHeight }) {
+  const { width, depth } = getFootprint(item);
+  const geometry = useMemo(() => {
+    const border = 0.08;
+    const halfW = width / 2 + border;
+    const halfD = depth / 2 + border;
+    const shape = new THREE.Shape();
+    shape.moveTo(-halfW, -halfD);
+    shape.lineTo(halfW, -halfD);
+    shape.lineTo(halfW, halfD);
+    shape.lineTo(-halfW, halfD);
+    shape.lineTo(-halfW, -halfD);
+    const hole = new THREE.Path();
+    hole.moveTo(-halfW + border, -halfD + border);
+    hole.lineTo(-halfW + border, halfD - border);
+    hole.lineTo(halfW - border, halfD - border);
+    hole.lineTo(halfW - border, -halfD + border);
+    hole.lineTo(-halfW + border, -halfD + border);
+    shape.holes.push(hole);
+    return new THREE.ShapeGeometry(shape);
+  }, [width, depth]);
 
   return (
-    <group position={[item.x || 0, -roomHeight / 2, item.z || 0]} scale={scale}>
-      <mesh position={[0, 0.5, 0]} castShadow receiveShadow>
-        <boxGeometry args={[3, 0.8, 0.8]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
-      </mesh>
-      <mesh position={[0, 0.2, 0]} castShadow receiveShadow>
-        <boxGeometry args={[3, 0.1, 0.8]} />
-        <meshStandardMaterial map={woodTexture} color={color} roughness={0.7} />
+    <group position={[item.x || 0, -roomHeight / 2 + 0.03, item.z || 0]} rotation={[0, getRotationY(item), 0]} userData={{ helper: true }}>
+      <mesh rotation={[-Math.PI / 2, 0, 0]} geometry={geometry} renderOrder={2}>
+        <meshBasicMaterial color="#6366f1" transparent opacity={0.9} depthWrite={false} side={THREE.DoubleSide} />
       </mesh>
     </group>
   );
 }
 
-function Bed({ item, roomHeight }) {
-  const fabricTexture = useLoader(THREE.TextureLoader, '/textures/fabric_001_diff_1k.jpg', (loader) => {
-    loader.setCrossOrigin('anonymous');
-  });
-  const scale = item.scale || 1;
-  const color = adjustColorBrightness(item.color || '#4682B4', item.shade || 30);
+// Translucent rubber-band rectangle shown while box-selecting in the 2D view
+function SelectionBand({ band, roomHeight }) {
+  const width = Math.abs(band.end.x - band.start.x);
+  const depth = Math.abs(band.end.z - band.start.z);
+  if (width === 0 || depth === 0) return null;
 
   return (
-    <group position={[item.x || 0, -roomHeight / 2, item.z || 0]} scale={scale}>
-      <mesh position={[0, 0.4, 0]} castShadow receiveShadow>
-        <boxGeometry args={[2.5, 0.4, 4]} />
-        <meshStandardMaterial map={fabricTexture} color={color} roughness={0.8} />
-      </mesh>
-      <mesh position={[0, 0.8, -1.8]} castShadow receiveShadow>
-        <boxGeometry args={[2.5, 0.6, 0.4]} />
-        <meshStandardMaterial map={fabricTexture} color={color} roughness={0.8} />
-      </mesh>
-      <mesh position={[-1.1, 0.2, -1.8]} castShadow receiveShadow>
-        <cylinderGeometry args={[0.1, 0.1, 0.4, 16]} />
-        <meshStandardMaterial map={fabricTexture} color={color} roughness={0.8} />
-      </mesh>
-      <mesh position={[1.1, 0.2, -1.8]} castShadow receiveShadow>
-        <cylinderGeometry args={[0.1, 0.1, 0.4, 16]} />
-        <meshStandardMaterial map={fabricTexture} color={color} roughness={0.8} />
-      </mesh>
-      <mesh position={[-1.1, 0.2, 1.8]} castShadow receiveShadow>
-        <cylinderGeometry args={[0.1, 0.1, 0.4, 16]} />
-        <meshStandardMaterial map={fabricTexture} color={color} roughness={0.8} />
-      </mesh>
-      <mesh position={[1.1, 0.2, 1.8]} castShadow receiveShadow>
-        <cylinderGeometry args={[0.1, 0.1, 0.4, 16]} />
-        <meshStandardMaterial map={fabricTexture} color={color} roughness={0.8} />
-      </mesh>
-    </group>
+    <mesh
+      rotation={[-Math.PI / 2, 0, 0]}
+      position={[(band.start.x + band.end.x) / 2, -roomHeight / 2 + 0.04, (band.start.z + band.end.z) / 2]}
+      renderOrder={3}
+      userData={{ helper: true }}
+    >
+      <planeGeometry args={[width, depth]} />
+      <meshBasicMaterial color="#6366f1" transparent opacity={0.2} depthWrite={false} />
+    </mesh>
   );
 }
 
-function Lamp({ item, roomHeight }) {
-  const metalTexture = useLoader(THREE.TextureLoader, '/textures/metal_001_diff_1k.jpg', (loader) => {
-    loader.setCrossOrigin('anonymous');
-  });
-  const scale = item.scale || 1;
-  const color = adjustColorBrightness(item.color || '#FFD700', item.shade || 70);
+// Floor-level line between two points with its length in metres labelled at the midpoint
+function DimensionLine({ from, to, y, color = '#0f172a', label }) {
+  const geometry = useMemo(() => {
+    const line = new THREE.BufferGeometry();
+    line.setAttribute('position', new THREE.Float32BufferAttribute([from.x, 0, from.z, to.x, 0, to.z], 3));
+    return line;
+  }, [from.x, from.z, to.x, to.z]);
 
   return (
-    <group position={[item.x || 0, -roomHeight / 2, item.z || 0]} scale={scale}>
-      <mesh position={[0, 0.5, 0]} castShadow receiveShadow>
-        <cylinderGeometry args={[0.2, 0.2, 1, 16]} />
-        <meshStandardMaterial map={metalTexture} color={color} roughness={0.6} metalness={0.8} />
-      </mesh>
-      <mesh position={[0, 1.2, 0]} castShadow receiveShadow>
-        <coneGeometry args={[0.4, 0.6, 16]} />
-        <meshStandardMaterial map={metalTexture} color={color} roughness={0.6} metalness={0.8} />
-      </mesh>
-      <mesh position={[0, 1.5, 0]} castShadow>
-        <sphereGeometry args={[0.2, 16, 16]} />
-        <meshStandardMaterial color="#ffffe0" emissive="#ffffe0" emissiveIntensity={0.8} />
-      </mesh>
+    <group position={[0, y, 0]} userData={{ helper: true }}>
+      <lineSegments geometry={geometry} renderOrder={4}>
+        <lineBasicMaterial color={color} depthTest={false} />
+      </lineSegments>
+      {[from, to].map((point, i) => (
+        <mesh key={i} position={[point.x, 0, point.z]} renderOrder={4}>
+          <sphereGeometry args={[0.05, 8, 8]} />
+          <meshBasicMaterial color={color} depthTest={false} />
+        </mesh>
+      ))}
+      <Html position={[(from.x + to.x) / 2, 0, (from.z + to.z) / 2]} center style={{ pointerEvents: 'none' }}>
+        <div
+          style={{ borderColor: color, color }}
+          className="px-2 py-0.5 text-xs font-semibold whitespace-nowrap bg-white/90 border rounded shadow"
+        >
+          {label || formatMetres(distanceBetween(from, to))}
+        </div>
+      </Html>
     </group>
   );
 }
 
-function Scene({ room, furniture, viewMode, onUpdateFurniture }) {
-  const { camera, gl } = useThree();
+// Sky and sun for the room's time of day. The shadow camera is sized to cover the whole room so
+// window light patches stay sharp.
+function Daylight({ room }) {
+  const { sun, ambient } = getDaylight(room);
+  const reach = Math.max(room.width, room.depth, room.height) * 1.5;
+  const position = [sun.direction.x * reach, sun.direction.y * reach, sun.direction.z * reach];
+  const sunRef = useRef();
+  const sunUp = sun.intensity > 0;
+
+  // Pierced shadow-camera props don't refresh the projection on their own
+  useEffect(() => {
+    if (sunRef.current) sunRef.current.shadow.camera.updateProjectionMatrix();
+  }, [reach, sunUp]);
+
+  return (
+    <>
+      <ambientLight intensity={ambient.intensity} color={ambient.color} />
+      {sunUp && (
+        <directionalLight
+          ref={sunRef}
+          position={position}
+          intensity={sun.intensity}
+          color={sun.color}
+          castShadow
+          shadow-mapSize-width={2048}
+          shadow-mapSize-height={2048}
+          shadow-camera-left={-reach}
+          shadow-camera-right={reach}
+          shadow-camera-top={reach}
+          shadow-camera-bottom={-reach}
+          shadow-camera-near={0.1}
+          shadow-camera-far={reach * 3}
+          shadow-bias={-0.0005}
+        />
+      )}
+    </>
+  );
+}
+
+const WALK_KEYS = {
+  KeyW: 'forward',
+  ArrowUp: 'forward',
+  KeyS: 'back',
+  ArrowDown: 'back',
+  KeyA: 'left',
+  ArrowLeft: 'left',
+  KeyD: 'right',
+  ArrowRight: 'right',
+};
+// Metres per second; Shift runs
+const WALK_SPEED = 1.4;
+const RUN_SPEED = 3;
+// Radians of turn per pixel of mouse drag
+const LOOK_SPEED = 0.004;
+const MAX_PITCH = 1.4;
+const VIEW_TRANSITION_SECONDS = 0.8;
+// Holding a finger or pen still this long opens the context menu; moving further than the slop cancels it
+const LONG_PRESS_MS = 500;
+const LONG_PRESS_SLOP = 8;
+const UP = new THREE.Vector3(0, 1, 0);
+
+// First-person camera for walk mode: WASD or the arrow keys move, dragging (mouse, finger or pen) looks around.
+// Movement is checked against the walls and furniture each frame (see utils/walkthrough).
+function WalkControls({ room, furniture, eyeHeight }) {
+  const { camera, gl, invalidate } = useThree();
+  const [start] = useState(() => getWalkStart(room, furniture));
+  const position = useRef(start.position);
+  const look = useRef({ yaw: start.yaw, pitch: 0 });
+  const keys = useRef({});
+
+  useEffect(() => {
+    invalidate();
+  }, [eyeHeight, invalidate]);
+
+  useEffect(() => {
+    camera.rotation.order = 'YXZ';
+    return () => {
+      camera.rotation.order = 'XYZ';
+    };
+  }, [camera]);
+
+  useEffect(() => {
+    const isTyping = (target) =>
+      target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
+
+    const handleKeyDown = (event) => {
+      keys.current.run = event.shiftKey;
+      if (!WALK_KEYS[event.code] || event.ctrlKey || event.metaKey || event.altKey || isTyping(event.target)) return;
+      event.preventDefault();
+      keys.current[WALK_KEYS[event.code]] = true;
+      invalidate();
+    };
+    const handleKeyUp = (event) => {
+      keys.current.run = event.shiftKey;
+      if (WALK_KEYS[event.code]) keys.current[WALK_KEYS[event.code]] = false;
+    };
+    // Keys released while the window is in the background never send keyup
+    const handleBlur = () => {
+      keys.current = {};
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+    };
+  }, [invalidate]);
+
+  useEffect(() => {
+    const domElement = gl.domElement;
+    let last = null;
+    // OrbitControls normally stops the browser from scrolling on touch; it isn't mounted while walking
+    domElement.style.touchAction = 'none';
+
+    const handlePointerDown = (event) => {
+      if (!event.isPrimary) return;
+      last = { x: event.clientX, y: event.clientY };
+    };
+    const handlePointerMove = (event) => {
+      if (!last || !event.isPrimary) return;
+      const { yaw, pitch } = look.current;
+      look.current = {
+        yaw: yaw - (event.clientX - last.x) * LOOK_SPEED,
+        pitch: Math.min(Math.max(pitch - (event.clientY - last.y) * LOOK_SPEED, -MAX_PITCH), MAX_PITCH),
+      };
+      last = { x: event.clientX, y: event.clientY };
+      invalidate();
+    };
+    const handlePointerUp = (event) => {
+      if (event.isPrimary) last = null;
+    };
+
+    domElement.addEventListener('pointerdown', handlePointerDown);
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointercancel', handlePointerUp);
+    return () => {
+      domElement.style.touchAction = '';
+      domElement.removeEventListener('pointerdown', handlePointerDown);
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('pointercancel', handlePointerUp);
+    };
+  }, [gl, invalidate]);
+
+  useFrame((state, delta) => {
+    const { forward, back, left, right } = keys.current;
+    const { yaw, pitch } = look.current;
+    const ahead = (forward ? 1 : 0) - (back ? 1 : 0);
+    const aside = (right ? 1 : 0) - (left ? 1 : 0);
+    if (ahead || aside) {
+      // Frame time is capped so a stalled tab doesn't jump the walker through a wall
+      const step = (keys.current.run ? RUN_SPEED : WALK_SPEED) * Math.min(delta, 0.1) / Math.hypot(ahead, aside);
+      const from = position.current;
+      const to = {
+        x: from.x + (-Math.sin(yaw) * ahead + Math.cos(yaw) * aside) * step,
+        z: from.z + (-Math.cos(yaw) * ahead - Math.sin(yaw) * aside) * step,
+      };
+      position.current = moveWithCollisions(from, to, room, furniture);
+      // Keep drawing for as long as a key is held
+      state.invalidate();
+    }
+    const eye = Math.min(eyeHeight, room.height - 0.1);
+    camera.position.set(position.current.x, -room.height / 2 + eye, position.current.z);
+    camera.rotation.set(pitch, yaw, 0);
+  });
+
+  return null;
+}
+
+function Scene({
+  room,
+  furniture,
+  viewMode,
+  onUpdateFurniture,
+  onMoveFurnitureGroup,
+  selectedIds = [],
+  onSelect,
+  highlightedIds = {},
+  blockedOpenings,
+  snap = {},
+  measuring = false,
+  eyeHeight = EYE_HEIGHT_RANGE.default,
+  viewRequest,
+  onCameraChange,
+  onContextMenu,
+  diff = null,
+  readOnly = false,
+}) {
+  const { camera, gl, invalidate } = useThree();
   const raycaster = useRef(new THREE.Raycaster());
   const mouse = useRef(new THREE.Vector2());
-  const plane = useRef(new THREE.Plane(new THREE.Vector3(0, 1, 0), -room.height / 2));
-  const [selected, setSelected] = useState(null);
-  const furnitureRefs = useRef([]);
+  const drag = useRef(null);
+  // Fingers and pens currently down on the canvas, by pointer id
+  const touches = useRef(new Map());
+  const longPress = useRef(null);
+  const [band, setBand] = useState(null);
+  const [measurement, setMeasurement] = useState(null);
+  const furnitureGroupRef = useRef();
   const controlsRef = useRef();
+  // Where the 3D view was last left, so coming back from 2D or Walk doesn't lose the angle
+  const lastView = useRef(DEFAULT_VIEW);
+  const transition = useRef(null);
+  const viewModeRef = useRef(viewMode);
+  viewModeRef.current = viewMode;
 
   useEffect(() => {
-    furnitureRefs.current = furniture.map(() => React.createRef());
-  }, [furniture]);
+    if (!measuring) setMeasurement(null);
+  }, [measuring]);
+
+  useEffect(() => () => clearTimeout(longPress.current && longPress.current.timer), []);
 
   useEffect(() => {
+    transition.current = null;
     if (viewMode === '2D') {
       camera.position.set(0, 10, 0);
       camera.lookAt(0, 0, 0);
@@ -350,70 +930,337 @@ function Scene({ room, furniture, viewMode, onUpdateFurniture }) {
         controlsRef.current.enablePan = true;
         controlsRef.current.update();
       }
-    } else {
-      camera.position.set(10, 10, 10);
-      camera.lookAt(0, 0, 0);
+    } else if (viewMode === '3D') {
+      const { position, target } = lastView.current;
+      camera.position.set(position.x, position.y, position.z);
+      camera.lookAt(target.x, target.y, target.z);
       if (controlsRef.current) {
+        controlsRef.current.target.set(target.x, target.y, target.z);
         controlsRef.current.enableRotate = true;
         controlsRef.current.enableZoom = true;
         controlsRef.current.enablePan = true;
         controlsRef.current.update();
       }
     }
-  }, [viewMode, camera]);
+    invalidate();
+  }, [viewMode, camera, invalidate]);
+
+  // Fly to a requested view. Outside the 3D view it is only remembered for the next switch back.
+  useEffect(() => {
+    if (!viewRequest) return;
+    lastView.current = { position: viewRequest.position, target: viewRequest.target };
+    if (viewModeRef.current === '3D') transition.current = { to: lastView.current, from: null, progress: 0 };
+    invalidate();
+  }, [viewRequest, invalidate]);
 
-  const handleMouseDown = (event) => {
-    event.preventDefault();
+  useFrame((state, delta) => {
+    const current = transition.current;
+    const controls = controlsRef.current;
+    if (!current || !controls) return;
+    const { to } = current;
+    // The start is taken on the first frame, once a camera swapped in with the view mode is in place
+    if (!current.from) current.from = { position: state.camera.position.clone(), target: controls.target.clone() };
+    current.progress = Math.min(current.progress + delta / VIEW_TRANSITION_SECONDS, 1);
+    const t = easeInOut(current.progress);
+    state.camera.position.lerpVectors(current.from.position, new THREE.Vector3(to.position.x, to.position.y, to.position.z), t);
+    controls.target.lerpVectors(current.from.target, new THREE.Vector3(to.target.x, to.target.y, to.target.z), t);
+    controls.update();
+    if (current.progress === 1) transition.current = null;
+    else state.invalidate();
+  });
+
+  // Fires for every orbit, pan, zoom and transition frame
+  const handleOrbitChange = () => {
+    const controls = controlsRef.current;
+    if (viewModeRef.current !== '3D' || !controls) return;
+    lastView.current = getCameraPose(controls.object, controls.target);
+    if (onCameraChange) onCameraChange(lastView.current);
+  };
+
+  const setPointer = (event) => {
     const rect = gl.domElement.getBoundingClientRect();
     mouse.current.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
     mouse.current.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-
     raycaster.current.setFromCamera(mouse.current, camera);
-    const intersects = raycaster.current.intersectObjects(
-      furnitureRefs.current.map((ref) => ref.current).filter(Boolean),
-      true
-    );
+  };
 
-    if (intersects.length > 0) {
-      const index = furniture.findIndex((item) => item.id === intersects[0].object.parent.userData.id);
-      if (index !== -1) {
-        setSelected(index);
-      }
+  // Where the pointer ray meets the floor (y = -height / 2)
+  const getFloorPoint = () => {
+    const floor = new THREE.Plane(new THREE.Vector3(0, 1, 0), room.height / 2);
+    return raycaster.current.ray.intersectPlane(floor, new THREE.Vector3());
+  };
+
+  const setControlsEnabled = (enabled) => {
+    if (controlsRef.current) controlsRef.current.enabled = enabled;
+  };
+
+  // One undo step per drag, however long the pointer is held down
+  const dragHistoryOptions = () => ({
+    coalesceKey: `drag-${drag.current.gesture}`,
+    coalesceWindow: Infinity,
+  });
+
+  const cancelLongPress = () => {
+    if (!longPress.current) return;
+    clearTimeout(longPress.current.timer);
+    longPress.current = null;
+  };
+
+  // Pressing and holding selects what is under the finger and asks the dashboard for a context menu
+  const startLongPress = (event, ids) => {
+    cancelLongPress();
+    const { clientX, clientY } = event;
+    const timer = setTimeout(() => {
+      longPress.current = null;
+      drag.current = null;
+      setControlsEnabled(true);
+      setBand(null);
+      if (ids.length > 0) onSelect(ids);
+      if (onContextMenu) onContextMenu({ x: clientX, y: clientY, ids });
+    }, LONG_PRESS_MS);
+    longPress.current = { timer, x: clientX, y: clientY };
+  };
+
+  // Screen angle of the line between the first two fingers
+  const getTwistAngle = () => {
+    const [a, b] = [...touches.current.values()];
+    return Math.atan2(b.y - a.y, b.x - a.x);
+  };
+
+  // A second finger turns the gesture into a twist: the item under the first finger turns with the
+  // fingers; on empty space in the 3D view the camera swings round its target while OrbitControls
+  // takes care of the pinch and pan.
+  const startTwist = () => {
+    cancelLongPress();
+    setBand(null);
+    const current = drag.current;
+    const id = current && (current.mode === 'move' || current.mode === 'rotate') ? current.id : undefined;
+    const item = furniture.find((entry) => entry.id === id);
+    if (item) {
+      drag.current = { mode: 'twist', id, angle: getTwistAngle(), origin: item.rotation || 0, gesture: current.gesture };
     } else {
-      setSelected(null);
+      setControlsEnabled(true);
+      drag.current = viewMode === '3D' ? { mode: 'orbit-twist', angle: getTwistAngle() } : null;
     }
   };
 
-  const handleMouseMove = (event) => {
-    if (selected === null) return;
+  const handleTwist = () => {
+    if (touches.current.size < 2) return;
+    const angle = getTwistAngle();
+    if (drag.current.mode === 'twist') {
+      const index = furniture.findIndex((item) => item.id === drag.current.id);
+      if (index === -1) return;
+      const degrees = drag.current.origin - THREE.MathUtils.radToDeg(angle - drag.current.angle);
+      onUpdateFurniture(index, { rotation: normalizeRotation(degrees) }, dragHistoryOptions());
+      return;
+    }
+    const controls = controlsRef.current;
+    if (!controls) return;
+    const delta = angle - drag.current.angle;
+    drag.current.angle = angle;
+    const offset = camera.position.clone().sub(controls.target);
+    offset.applyAxisAngle(UP, Math.atan2(Math.sin(delta), Math.cos(delta)));
+    camera.position.copy(controls.target).add(offset);
+    controls.update();
+  };
 
-    const rect = gl.domElement.getBoundingClientRect();
-    mouse.current.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    mouse.current.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  const handlePointerDown = (event) => {
+    if (event.pointerType !== 'mouse') {
+      touches.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      if (touches.current.size === 2) {
+        startTwist();
+        return;
+      }
+    }
+    if (!event.isPrimary || event.button !== 0) return;
+    setPointer(event);
 
-    raycaster.current.setFromCamera(mouse.current, camera);
-    const point = raycaster.current.ray.intersectPlane(plane.current, new THREE.Vector3());
-    if (point) {
-      onUpdateFurniture(selected, { x: point.x, z: point.z });
+    if (measuring) {
+      // The tape measure takes over the pointer: press to set the start, release to set the end
+      const start = getFloorPoint();
+      if (!start) return;
+      event.preventDefault();
+      setControlsEnabled(false);
+      drag.current = { mode: 'measure' };
+      setMeasurement({ start, end: start });
+      return;
+    }
+
+    const intersects = furnitureGroupRef.current
+      ? raycaster.current.intersectObject(furnitureGroupRef.current, true)
+      : [];
+    const id = intersects.length > 0 ? getFurnitureId(intersects[0]) : undefined;
+    const point = getFloorPoint();
+    const additive = event.shiftKey || event.ctrlKey || event.metaKey;
+    const gesture = Date.now();
+
+    if (id !== undefined) {
+      event.preventDefault();
+      let selection = selectedIds;
+      if (additive && !event.altKey) {
+        selection = selectedIds.includes(id) ? selectedIds.filter((selectedId) => selectedId !== id) : [...selectedIds, id];
+        onSelect(selection);
+        if (!selection.includes(id)) return;
+      } else if (!selectedIds.includes(id)) {
+        selection = [id];
+        onSelect(selection);
+      }
+
+      setControlsEnabled(false);
+      if (event.altKey) {
+        // Alt-drag rotates the item to face the pointer instead of moving it
+        drag.current = { mode: 'rotate', id, gesture };
+      } else if (point) {
+        const origins = {};
+        furniture.forEach((item) => {
+          if (selection.includes(item.id)) origins[item.id] = { x: item.x || 0, z: item.z || 0, rotation: item.rotation || 0 };
+        });
+        drag.current = { mode: 'move', id, start: point, origins, gesture };
+      }
+      if (event.pointerType !== 'mouse') startLongPress(event, selection);
+    } else if (viewMode === '2D' && point) {
+      event.preventDefault();
+      setControlsEnabled(false);
+      drag.current = { mode: 'band', start: point, base: additive ? selectedIds : [] };
+      setBand({ start: point, end: point });
+      if (event.pointerType !== 'mouse') startLongPress(event, []);
+    } else if (!additive) {
+      // Only clear the selection on a plain click, not when the user starts orbiting the camera
+      drag.current = { mode: 'click', clientX: event.clientX, clientY: event.clientY };
+      if (event.pointerType !== 'mouse') startLongPress(event, []);
+    }
+  };
+
+  const handlePointerMove = (event) => {
+    if (touches.current.has(event.pointerId)) {
+      touches.current.set(event.pointerId, { x: event.clientX, y: event.clientY });
+    }
+    if (
+      longPress.current &&
+      Math.hypot(event.clientX - longPress.current.x, event.clientY - longPress.current.y) > LONG_PRESS_SLOP
+    ) {
+      cancelLongPress();
+    }
+    if (drag.current && (drag.current.mode === 'twist' || drag.current.mode === 'orbit-twist')) {
+      handleTwist();
+      return;
+    }
+    if (!event.isPrimary || !drag.current || drag.current.mode === 'click') return;
+
+    setPointer(event);
+    const point = getFloorPoint();
+    if (!point) return;
+
+    if (drag.current.mode === 'rotate') {
+      const index = furniture.findIndex((item) => item.id === drag.current.id);
+      if (index === -1) return;
+      const item = furniture[index];
+      // Local +Z is the front of every piece, so atan2(dx, dz) turns it towards the pointer
+      let degrees = THREE.MathUtils.radToDeg(Math.atan2(point.x - (item.x || 0), point.z - (item.z || 0)));
+      if (event.shiftKey) {
+        degrees = Math.round(degrees / 15) * 15;
+      }
+      onUpdateFurniture(index, { rotation: normalizeRotation(degrees) }, dragHistoryOptions());
+    } else if (drag.current.mode === 'move') {
+      const { start, origins } = drag.current;
+      const ids = Object.keys(origins);
+      const dx = point.x - start.x;
+      const dz = point.z - start.z;
+      if (ids.length === 1) {
+        const index = furniture.findIndex((item) => String(item.id) === ids[0]);
+        if (index === -1) return;
+        const origin = origins[ids[0]];
+        // Wall snapping turns the item, so measure from the rotation the drag started with; otherwise
+        // the turned footprint would let go of the wall on the next move
+        const item = { ...furniture[index], rotation: origin.rotation };
+        const updates = snapPosition(item, { x: origin.x + dx, z: origin.z + dz }, room, snap);
+        onUpdateFurniture(index, updates, dragHistoryOptions());
+      } else {
+        // Groups keep their shape, so only the offset is snapped
+        const stepX = snap.gridStep ? snapToGrid(dx, snap.gridStep) : dx;
+        const stepZ = snap.gridStep ? snapToGrid(dz, snap.gridStep) : dz;
+        const targets = {};
+        ids.forEach((id) => {
+          targets[id] = { x: origins[id].x + stepX, z: origins[id].z + stepZ };
+        });
+        onMoveFurnitureGroup(targets, dragHistoryOptions());
+      }
+    } else if (drag.current.mode === 'band') {
+      drag.current.end = point;
+      setBand({ start: drag.current.start, end: point });
+    } else if (drag.current.mode === 'measure') {
+      setMeasurement((current) => current && { ...current, end: point });
     }
   };
 
-  const handleMouseUp = () => {
-    setSelected(null);
+  const handlePointerUp = (event) => {
+    touches.current.delete(event.pointerId);
+    cancelLongPress();
+    const current = drag.current;
+    // Lifting either finger ends a twist; the other one is ignored until it is lifted too
+    if (current && (current.mode === 'twist' || current.mode === 'orbit-twist')) {
+      drag.current = null;
+      setControlsEnabled(true);
+      return;
+    }
+    if (!event.isPrimary) return;
+    drag.current = null;
+    setControlsEnabled(true);
+    if (!current) return;
+
+    if (current.mode === 'band') {
+      const end = current.end || current.start;
+      const rect = {
+        minX: Math.min(current.start.x, end.x),
+        maxX: Math.max(current.start.x, end.x),
+        minZ: Math.min(current.start.z, end.z),
+        maxZ: Math.max(current.start.z, end.z),
+      };
+      const inside = furniture.filter((item) => boundsOverlap(getBounds(item), rect)).map((item) => item.id);
+      onSelect([...current.base, ...inside.filter((id) => !current.base.includes(id))]);
+      setBand(null);
+    } else if (current.mode === 'click') {
+      const moved = Math.hypot(event.clientX - current.clientX, event.clientY - current.clientY);
+      if (moved < 4) onSelect([]);
+    }
+  };
+
+  // The browser took the pointer away (a system gesture, or the palm rejected): drop whatever was going on
+  const handlePointerCancel = (event) => {
+    touches.current.delete(event.pointerId);
+    cancelLongPress();
+    drag.current = null;
+    setControlsEnabled(true);
+    setBand(null);
   };
 
   useEffect(() => {
+    // Walk mode is for looking around (WalkControls owns the pointer); a read-only canvas shows an
+    // old revision
+    if (viewMode === 'Walk' || readOnly) return undefined;
     const domElement = gl.domElement;
-    domElement.addEventListener('mousedown', handleMouseDown);
-    domElement.addEventListener('mousemove', handleMouseMove);
-    domElement.addEventListener('mouseup', handleMouseUp);
+    // Capture phase, so a press on furniture switches OrbitControls off before it starts orbiting
+    domElement.addEventListener('pointerdown', handlePointerDown, true);
+    domElement.addEventListener('pointermove', handlePointerMove);
+    domElement.addEventListener('pointerup', handlePointerUp);
+    domElement.addEventListener('pointercancel', handlePointerCancel);
 
     return () => {
-      domElement.removeEventListener('mousedown', handleMouseDown);
-      domElement.removeEventListener('mousemove', handleMouseMove);
-      domElement.removeEventListener('mouseup', handleMouseUp);
+      domElement.removeEventListener('pointerdown', handlePointerDown, true);
+      domElement.removeEventListener('pointermove', handlePointerMove);
+      domElement.removeEventListener('pointerup', handlePointerUp);
+      domElement.removeEventListener('pointercancel', handlePointerCancel);
     };
-  }, [gl, camera, selected, onUpdateFurniture, room.height]);
+  }, [gl, camera, viewMode, readOnly, selectedIds, furniture, onSelect, onUpdateFurniture, onMoveFurnitureGroup, onContextMenu, room, snap, measuring]);
+
+  // Live clearances are shown for a single selected item
+  const selectedIndex = selectedIds.length === 1 ? furniture.findIndex((item) => item.id === selectedIds[0]) : -1;
+  const clearances = useMemo(
+    () => (selectedIndex === -1 ? [] : getClearances(furniture, selectedIndex, room)),
+    [furniture, selectedIndex, room]
+  );
+
+  const instancing = useMemo(() => groupForInstancing(furniture), [furniture]);
 
   const zoom = Math.max(room.width, room.depth) * 1.5;
 
@@ -434,57 +1281,162 @@ function Scene({ room, furniture, viewMode, onUpdateFurniture }) {
       ) : (
         <PerspectiveCamera
           makeDefault
-          fov={50}
+          fov={viewMode === 'Walk' ? 70 : 50}
           position={[10, 10, 10]}
-          near={0.1}
+          near={viewMode === 'Walk' ? 0.05 : 0.1}
           far={100}
         />
       )}
-      <ambientLight intensity={0.6} />
-      <directionalLight
-        position={[5, 10, 5]}
-        intensity={1.0}
-        castShadow
-        shadow-mapSize-width={512}
-        shadow-mapSize-height={512}
-      />
-      <Room room={room} />
-      {furniture.map((item, index) => (
-        <group key={item.id} ref={furnitureRefs.current[index]} userData={{ id: item.id }}>
-          {item.type === 'chair' && <Chair item={item} roomHeight={room.height} />}
-          {item.type === 'table' && <Table item={item} roomHeight={room.height} />}
-          {item.type === 'sofa' && <Sofa item={item} roomHeight={room.height} />}
-          {item.type === 'bookshelf' && <Bookshelf item={item} roomHeight={room.height} />}
-          {item.type === 'tvstand' && <TVStand item={item} roomHeight={room.height} />}
-          {item.type === 'bed' && <Bed item={item} roomHeight={room.height} />}
-          {item.type === 'lamp' && <Lamp item={item} roomHeight={room.height} />}
+      <Daylight room={room} />
+      <group name={EXPORT_ROOT_NAME}>
+        <Room room={room} gridStep={snap.gridStep} showOpeningPlan={viewMode === '2D'} blockedOpenings={blockedOpenings} />
+        <group ref={furnitureGroupRef}>
+          {instancing.batches.map((batch) => (
+            <InstancedFurniture
+              key={batch.key}
+              items={batch.items}
+              definition={getFurnitureType(batch.type)}
+              roomHeight={room.height}
+            />
+          ))}
+          {instancing.single.map((item) => (
+            <group key={item.id} userData={{ id: item.id }}>
+              {item.type === 'custom' && item.model ? (
+                <Suspense fallback={null}>
+                  <CustomModel item={item} roomHeight={room.height} />
+                </Suspense>
+              ) : (
+                getFurnitureType(item.type) && (
+                  <FurnitureModel item={item} definition={getFurnitureType(item.type)} roomHeight={room.height} />
+                )
+              )}
+            </group>
+          ))}
         </group>
+      </group>
+      {furniture.map((item) => (
+        <React.Fragment key={item.id}>
+          {highlightedIds[item.id] && <FootprintHighlight item={item} roomHeight={room.height} />}
+          {diff && diff.highlights[item.id] && (
+            <FootprintHighlight item={item} roomHeight={room.height} color={DIFF_COLORS[diff.highlights[item.id]]} />
+          )}
+          {selectedIds.includes(item.id) && <SelectionOutline item={item} roomHeight={room.height} />}
+        </React.Fragment>
       ))}
-      <OrbitControls
-        ref={controlsRef}
-        target={[0, 0, 0]}
-        enableRotate={viewMode === '3D'}
-        enableZoom={true}
-        enablePan={true}
-      />
+      {diff &&
+        diff.ghosts.map(({ item, kind }) => (
+          <FootprintHighlight
+            key={`${kind}-${item.id}`}
+            item={item}
+            roomHeight={room.height}
+            color={DIFF_COLORS[kind]}
+            opacity={0.2}
+          />
+        ))}
+      {diff &&
+        diff.moves.map((move) => (
+          <DimensionLine key={move.id} from={move.from} to={move.to} y={-room.height / 2 + 0.05} color={DIFF_COLORS.moved} />
+        ))}
+      {band && <SelectionBand band={band} roomHeight={room.height} />}
+      {clearances
+        .filter((clearance) => clearance.distance > 0.01)
+        .map((clearance, i) => (
+          <DimensionLine
+            key={i}
+            from={clearance.from}
+            to={clearance.to}
+            y={-room.height / 2 + 0.05}
+            color={clearance.target === 'wall' ? '#0f766e' : '#b45309'}
+          />
+        ))}
+      {measurement && distanceBetween(measurement.start, measurement.end) > 0 && (
+        <DimensionLine
+          from={measurement.start}
+          to={measurement.end}
+          y={-room.height / 2 + 0.06}
+          color="#4f46e5"
+        />
+      )}
+      {viewMode === 'Walk' ? (
+        <WalkControls room={room} furniture={furniture} eyeHeight={eyeHeight} />
+      ) : (
+        <OrbitControls
+          ref={controlsRef}
+          target={[0, 0, 0]}
+          enableRotate={viewMode === '3D'}
+          enableZoom={true}
+          enablePan={true}
+          onStart={() => {
+            transition.current = null;
+          }}
+          onChange={handleOrbitChange}
+        />
+      )}
     </>
   );
 }
 
-function DesignCanvas({ room, furniture, viewMode, onUpdateFurniture }) {
+function DesignCanvas({
+  room,
+  furniture,
+  viewMode,
+  onUpdateFurniture,
+  onMoveFurnitureGroup,
+  selectedIds,
+  onSelect,
+  highlightedIds,
+  blockedOpenings,
+  snap,
+  measuring,
+  eyeHeight,
+  viewRequest,
+  onCameraChange,
+  onContextMenu,
+  diff,
+  readOnly,
+  showStats = false,
+  sceneRef,
+}) {
+  const statsRef = useRef();
+
   return (
-    <Canvas
-      style={{ width: 'texture', height: '600px' }}
-      shadows
-      gl={{ antialias: true }}
-    >
-      <Scene
-        room={room}
-        furniture={furniture}
-        viewMode={viewMode}
-        onUpdateFurniture={onUpdateFurniture}
-      />
-    </Canvas>
+    <div className="relative w-full h-full">
+      <Canvas
+        style={{ width: 'texture', height: '600px', WebkitTouchCallout: 'none', WebkitUserSelect: 'none', userSelect: 'none' }}
+        shadows
+        // Draw only when something changed; anything that animates calls invalidate()
+        frameloop="demand"
+        gl={{ antialias: true }}
+      >
+        <Scene
+          room={room}
+          furniture={furniture}
+          viewMode={viewMode}
+          onUpdateFurniture={onUpdateFurniture}
+          onMoveFurnitureGroup={onMoveFurnitureGroup}
+          selectedIds={selectedIds}
+          onSelect={onSelect}
+          highlightedIds={highlightedIds}
+          blockedOpenings={blockedOpenings}
+          snap={snap}
+          measuring={measuring}
+          eyeHeight={eyeHeight}
+          viewRequest={viewRequest}
+          onCameraChange={onCameraChange}
+          onContextMenu={onContextMenu}
+          diff={diff}
+          readOnly={readOnly}
+        />
+        <SceneHandle handleRef={sceneRef} />
+        {showStats && <PerformanceProbe outputRef={statsRef} itemCount={furniture.length} />}
+      </Canvas>
+      {showStats && (
+        <pre
+          ref={statsRef}
+          className="absolute top-2 left-2 px-2 py-1 rounded bg-black bg-opacity-70 text-xs text-green-300 font-mono pointer-events-none"
+        />
+      )}
+    </div>
   );
 }
 
@@ -1,100 +1,131 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import { getAuth, signOut } from 'firebase/auth';
-import { useNavigate } from 'react-router-dom';
-import { LogOut, ChevronDown, ChevronUp, Trash2, RotateCcw, Save, Edit2, ShoppingCart, X } from 'lucide-react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { LogOut, ChevronDown, ChevronUp, Trash2, Save, Edit2, ShoppingCart, X, Undo2, Redo2, Ruler, Upload, Box, Download, Camera, PenTool, DoorOpen, AppWindow, Lightbulb, Sun, Footprints, Bookmark, List, SaveAll, Copy, Pencil, FilePlus, History, Tag } from 'lucide-react';
 import DesignCanvas from './DesignCanvas';
 import Checkout from './Checkout';
+import FloorPlanEditor from './FloorPlanEditor';
+import SceneListView from './SceneListView';
+import RevisionHistory, { CURRENT } from './RevisionHistory';
+import LibraryFilters from './LibraryFilters';
+import { findFreePosition, getLayoutIssues, normalizeRotation, resolveGroupMove, resolveMove } from '../utils/furnitureBounds';
+import { alignItems, distributeItems } from '../utils/furnitureArrange';
+import { GRID_STEPS } from '../utils/furnitureSnap';
+import { getRoomOutline, getWallFrames, scaleOutline } from '../utils/roomGeometry';
+import { getFinishes, getRoomFinishKey, getRoomFinishes } from '../utils/surfaceFinishes';
+import {
+  OPENING_TYPES,
+  clampOpening,
+  createOpening,
+  findBlockedOpenings,
+  fitOpenings,
+  getOpeningLabels,
+  openingsOverlap,
+} from '../utils/wallOpenings';
+import { importModelFile, MAX_MODEL_BYTES } from '../utils/modelImport';
+import { findProduct, getFurnitureType, getProductCatalog, getProductOption, getProductPrice } from '../utils/furnitureRegistry';
+import {
+  TEMPERATURE_RANGE,
+  TIME_PRESETS,
+  formatTimeOfDay,
+  getLightSettings,
+  getRoomLighting,
+} from '../utils/lighting';
+import { EYE_HEIGHT_RANGE } from '../utils/walkthrough';
+import { DEFAULT_VIEW, PRESET_VIEWS, createCameraView, getPresetView } from '../utils/cameraViews';
+import {
+  ROTATE_STEP,
+  cycleIndex,
+  describeItem,
+  describeSelection,
+  getItemLabel,
+  getNudge,
+} from '../utils/furnitureKeyboard';
+import { checkDesignSize, describeSyncStatus } from '../utils/designStore';
+import { formatKilobytes, parseDesignFile, serializeDesign } from '../utils/designFormat';
+import { AUTOSAVE_INTERVAL, clearDraft, loadDraft, saveDraft } from '../utils/designDraft';
+import { diffDesigns, getDiffOverlay } from '../utils/designDiff';
+import {
+  DEFAULT_LIBRARY_QUERY,
+  filterDesigns,
+  getDesignTotal,
+  getLibraryFacets,
+  paginate,
+  parseLibraryQuery,
+  parseTags,
+  sortDesigns,
+  toSearchParams,
+} from '../utils/designLibrary';
+import { downloadBlob, exportGLB, exportOBJ, slugify } from '../utils/sceneExport';
+import { SNAPSHOT_PRESETS, downloadDataUrl, renderSnapshot, renderThumbnail } from '../utils/sceneSnapshot';
+import useDesignHistory from '../hooks/useDesignHistory';
 
-const DesignDashboard = ({ designs, setDesigns }) => {
+const DesignDashboard = ({ designs, setDesigns, syncStatus, recordRevision, watchRevisions, reportError }) => {
   const predefinedRooms = [
     { id: 'living-room', name: 'Living Room', width: 12, height: 5, depth: 12, color: '#f0e8d0', wallTexture: 'patterned_concrete_wall_diff_1k.jpg' },
     { id: 'bedroom', name: 'Bedroom', width: 10, height: 4, depth: 10, color: '#e6e6fa', wallTexture: 'peeling_painted_wall_diff_1k.jpg' },
     { id: 'dining-room', name: 'Dining Room', width: 14, height: 6, depth: 14, color: '#f5f5f5', wallTexture: 'plaster_brick_pattern_diff_1k.jpg' },
+    {
+      id: 'l-shaped-apartment',
+      name: 'L-Shaped Apartment',
+      width: 12,
+      height: 4,
+      depth: 10,
+      color: '#f5f0e6',
+      wallTexture: 'plaster_brick_pattern_diff_1k.jpg',
+      outline: [
+        { x: -6, z: -5 },
+        { x: 0, z: -5 },
+        { x: 0, z: 0 },
+        { x: 6, z: 0 },
+        { x: 6, z: 5 },
+        { x: -6, z: 5 },
+      ],
+    },
   ];
 
-  const wallTextures = [
-    { id: 'patterned_concrete', name: 'Patterned Concrete', file: 'patterned_concrete_wall_diff_1k.jpg' },
-    { id: 'peeling_painted', name: 'Peeling Painted', file: 'peeling_painted_wall_diff_1k.jpg' },
-    { id: 'plaster_brick', name: 'Plaster Brick', file: 'plaster_brick_pattern_diff_1k.jpg' },
-    { id: 'stone_tile', name: 'Stone Tile', file: 'stone_tile_wall_diff_1k.jpg' },
+  const finishSurfaces = [
+    { surface: 'wall', label: 'Walls' },
+    { surface: 'floor', label: 'Floor' },
+    { surface: 'ceiling', label: 'Ceiling' },
   ];
 
-  const productCatalog = [
-    {
-      id: 'chair1',
-      type: 'chair',
-      name: 'Modern Wooden Chair',
-      price: 99.99,
-      image: '/images/chair.jpg',
-      color: '#8B4513',
-      shade: 50,
-      scale: 1,
-    },
-    {
-      id: 'table1',
-      type: 'table',
-      name: 'Oak Dining Table',
-      price: 299.99,
-      image: '/images/table.jpg',
-      color: '#8B4513',
-      shade: 50,
-      scale: 1,
-    },
-    {
-      id: 'sofa1',
-      type: 'sofa',
-      name: 'Velvet Sofa',
-      price: 599.99,
-      image: '/images/sofa.jpg',
-      color: '#4B0082',
-      shade: 30,
-      scale: 1,
-    },
-    {
-      id: 'bookshelf1',
-      type: 'bookshelf',
-      name: 'Tall Bookshelf',
-      price: 199.99,
-      image: '/images/bookshelf.jpg',
-      color: '#8B4513',
-      shade: 50,
-      scale: 1,
-    },
-    {
-      id: 'tvstand1',
-      type: 'tvstand',
-      name: 'Sleek TV Stand',
-      price: 249.99,
-      image: '/images/tvstand.jpg',
-      color: '#2F4F4F',
-      shade: 50,
-      scale: 1,
-    },
-    {
-      id: 'bed1',
-      type: 'bed',
-      name: 'Cozy Double Bed',
-      price: 499.99,
-      image: '/images/bed.jpg',
-      color: '#4682B4',
-      shade: 30,
-      scale: 1,
-    },
-    {
-      id: 'lamp1',
-      type: 'lamp',
-      name: 'Golden Floor Lamp',
-      price: 149.99,
-      image: '/images/lamp.jpg',
-      color: '#FFD700',
-      shade: 70,
-      scale: 1,
-    },
-  ];
+  const productCatalog = getProductCatalog();
 
-  const [room, setRoom] = useState(predefinedRooms[0]);
-  const [furniture, setFurniture] = useState([]);
+  const {
+    present: { room, furniture },
+    commit,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+  } = useDesignHistory({ room: predefinedRooms[0], furniture: [] });
   const [viewMode, setViewMode] = useState('3D');
+  const [eyeHeight, setEyeHeight] = useState(EYE_HEIGHT_RANGE.default);
+  const [cameraViews, setCameraViews] = useState([]);
+  // The saved design open on the canvas (null for a new one) and the room, furniture and views it was
+  // opened or last saved with. Edits replace these objects, so comparing references tells whether
+  // there are unsaved changes, and undoing back to the saved state counts as clean again.
+  const [openDesignId, setOpenDesignId] = useState(null);
+  const [savedState, setSavedState] = useState(() => ({ room, furniture, cameraViews }));
+  const [saveAsName, setSaveAsName] = useState(null);
+  const [renaming, setRenaming] = useState(null);
+  // { id, name, client, tags, notes } while a design's library details are being edited; tags as typed
+  const [editingDetails, setEditingDetails] = useState(null);
+  const [pendingDiscard, setPendingDiscard] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  // Revision ids (or CURRENT) of the two states being compared
+  const [compare, setCompare] = useState({ from: null, to: CURRENT });
+  const [viewRequest, setViewRequest] = useState(null);
+  const [newViewName, setNewViewName] = useState('');
+  const [contextMenu, setContextMenu] = useState(null);
+  const [showListView, setShowListView] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  // Read out by the live region after selection changes and keyboard edits
+  const [announcement, setAnnouncement] = useState('');
+  // Latest 3D camera pose reported by the canvas; a ref since it changes every frame while orbiting
+  const cameraPose = useRef(DEFAULT_VIEW);
   const [cart, setCart] = useState([]);
   const [showCart, setShowCart] = useState(false);
   const [showCheckout, setShowCheckout] = useState(false);
@@ -102,13 +133,110 @@ const DesignDashboard = ({ designs, setDesigns }) => {
     room: true,
     catalog: true,
     furnitureSettings: true,
+    lighting: true,
     viewMode: true,
   });
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(null);
+  const [allowOverlap, setAllowOverlap] = useState(false);
+  const [blockedId, setBlockedId] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [snapToGridEnabled, setSnapToGridEnabled] = useState(false);
+  const [gridStep, setGridStep] = useState(0.5);
+  const [snapToWalls, setSnapToWalls] = useState(false);
+  const [measuring, setMeasuring] = useState(false);
+  const [customProducts, setCustomProducts] = useState([]);
+  const [importError, setImportError] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+  const [designImportErrors, setDesignImportErrors] = useState([]);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
+  const [showSnapshot, setShowSnapshot] = useState(false);
+  const [snapshotOptions, setSnapshotOptions] = useState({ preset: '4k', width: 3840, height: 2160, transparent: false });
+  const [snapshotError, setSnapshotError] = useState('');
+  const [showFloorPlan, setShowFloorPlan] = useState(false);
+  const [openingError, setOpeningError] = useState('');
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
   const auth = getAuth();
+  const uid = auth.currentUser ? auth.currentUser.uid : null;
+  const [recoveredDraft, setRecoveredDraft] = useState(() => (uid ? loadDraft(uid) : null));
+  // Latest unsaved state for the autosave timer, and the one it last wrote
+  const draftRef = useRef(null);
+  const writtenDraft = useRef(null);
   const catalogRef = useRef(null);
   const furnitureSettingsRef = useRef(null);
+  const sceneRef = useRef(null);
+  // Why the thumbnail of the design being saved couldn't be rendered, if it couldn't
+  const thumbnailError = useRef('');
+
+  const layoutIssues = useMemo(
+    () => getLayoutIssues(furniture, room, { allowOverlap }),
+    [furniture, room, allowOverlap]
+  );
+  const snap = useMemo(
+    () => ({ gridStep: snapToGridEnabled ? gridStep : null, wall: snapToWalls }),
+    [snapToGridEnabled, gridStep, snapToWalls]
+  );
+  const outsideCount = Object.values(layoutIssues).filter((issue) => issue === 'outside').length;
+  const openingIssues = useMemo(() => findBlockedOpenings(furniture, room), [furniture, room]);
+  const openingLabels = useMemo(() => getOpeningLabels(room.openings), [room.openings]);
+  const roomWalls = useMemo(() => getWallFrames(getRoomOutline(room)), [room]);
+  const roomLighting = getRoomLighting(room);
+  // Current settings of every light fixture, keyed by item id
+  const fixtureLights = Object.fromEntries(
+    furniture
+      .filter((item) => getFurnitureType(item.type) && getFurnitureType(item.type).light)
+      .map((item) => [item.id, getLightSettings(item, getFurnitureType(item.type))])
+  );
+
+  // Drop ids from the selection once their items are gone (removed, undone or a design reloaded)
+  useEffect(() => {
+    setSelectedIds((ids) => {
+      const remaining = ids.filter((id) => furniture.some((item) => item.id === id));
+      return remaining.length === ids.length ? ids : remaining;
+    });
+  }, [furniture]);
+
+  // The red "blocked" highlight only needs to flash briefly after a rejected move
+  useEffect(() => {
+    if (blockedId === null) return undefined;
+    const timeout = setTimeout(() => setBlockedId(null), 600);
+    return () => clearTimeout(timeout);
+  }, [blockedId]);
+
+  const setRoom = (nextRoom, options) => {
+    commit((design) => ({ ...design, room: nextRoom }), options);
+  };
+
+  const setFurniture = (nextFurniture, options) => {
+    commit((design) => ({ ...design, furniture: nextFurniture }), options);
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        setMeasuring(false);
+        return;
+      }
+      if (!(event.ctrlKey || event.metaKey)) return;
+      // Leave text fields to their own native undo
+      const target = event.target;
+      if (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && !['checkbox', 'range', 'color'].includes(target.type))) {
+        return;
+      }
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
 
   const toggleSection = (section) => {
     setExpandedSections((prev) => ({ ...prev, [section]: !prev[section] }));
@@ -119,35 +247,101 @@ const DesignDashboard = ({ designs, setDesigns }) => {
     return isNaN(num) || num <= 0 ? 1 : num;
   };
 
+  // Width/depth edits stretch a custom floor plan to the new size instead of dropping it
+  const resizeRoom = (key, value) => {
+    const next = { ...room, [key]: validateDimension(value) };
+    if (room.outline) {
+      next.outline = scaleOutline(room.outline, next.width, next.depth);
+    }
+    setRoom(next, { coalesceKey: `room:${key}` });
+  };
+
+  // Wall indices change with the outline, so openings on walls that no longer exist are dropped
+  const applyFloorPlan = ({ outline, width, depth }) => {
+    const next = { ...room, outline, width, depth };
+    setRoom({ ...next, openings: fitOpenings(room.openings, next) });
+    setShowFloorPlan(false);
+  };
+
+  const addOpening = (type) => {
+    const opening = createOpening(type, room);
+    if (!opening) {
+      setOpeningError(`There is no free wall space for another ${OPENING_TYPES[type].label.toLowerCase()}.`);
+      return;
+    }
+    setOpeningError('');
+    setRoom({ ...room, openings: [...(room.openings || []), opening] });
+  };
+
+  const updateOpening = (id, updates) => {
+    const openings = room.openings || [];
+    const next = clampOpening({ ...openings.find((opening) => opening.id === id), ...updates }, room);
+    if (!next) return;
+    if (openings.some((other) => other.id !== id && openingsOverlap(other, next))) {
+      setOpeningError('Openings on the same wall cannot overlap.');
+      return;
+    }
+    setOpeningError('');
+    setRoom(
+      { ...room, openings: openings.map((opening) => (opening.id === id ? next : opening)) },
+      { coalesceKey: `opening:${id}:${Object.keys(updates).sort().join(',')}` }
+    );
+  };
+
+  const removeOpening = (id) => {
+    setOpeningError('');
+    setRoom({ ...room, openings: (room.openings || []).filter((opening) => opening.id !== id) });
+  };
+
+  // Names of the furniture standing in an opening's way
+  const describeBlockers = (openingId) =>
+    (openingIssues.openings[openingId] || [])
+      .map((itemId) => furniture.find((item) => item.id === itemId))
+      .filter(Boolean)
+      .map((item) => item.name || item.type)
+      .join(', ');
+
   const handleRoomChange = (roomId) => {
     const selectedRoom = predefinedRooms.find((r) => r.id === roomId);
     if (selectedRoom) {
-      setRoom(selectedRoom);
-      setFurniture([]);
+      commit({ room: selectedRoom, furniture: [] });
     }
   };
 
-  const handleWallTextureChange = (textureFile) => {
-    setRoom({ ...room, wallTexture: textureFile });
+  const handleFinishChange = (surface, textureFile) => {
+    setRoom({ ...room, [getRoomFinishKey(surface)]: textureFile });
   };
 
   const addFurniture = (product) => {
     const furnitureCount = furniture.length;
-    const x = (furnitureCount % 3) * 2 - 2;
-    const z = Math.floor(furnitureCount / 3) * 2 - 2;
+    const preferred = {
+      x: (furnitureCount % 3) * 2 - 2,
+      z: Math.floor(furnitureCount / 3) * 2 - 2,
+    };
+    const option = getProductOption(product);
     const newItem = {
       id: Date.now(),
       type: product.type,
+      productId: product.id,
       name: product.name,
-      price: product.price,
-      x,
-      z,
+      price: getProductPrice(product),
       color: product.color,
       shade: product.shade,
       scale: product.scale,
+      rotation: 0,
     };
+    if (option) {
+      newItem.option = option.id;
+    }
+    if (product.model) {
+      newItem.model = product.model;
+    }
+    Object.assign(newItem, findFreePosition(furniture, newItem, room, preferred));
     setFurniture([...furniture, newItem]);
-    addToCart(product);
+    // Imported models aren't catalogue stock, so there is nothing to buy
+    if (!product.model) {
+      addToCart(product, option && option.id);
+    }
     if (catalogRef.current) {
       catalogRef.current.scrollTo({ top: catalogRef.current.scrollHeight, behavior: 'smooth' });
     }
@@ -156,17 +350,76 @@ const DesignDashboard = ({ designs, setDesigns }) => {
     }
   };
 
-  const addToCart = (product) => {
-    const existingItem = cart.find((item) => item.id === product.id);
+  const handleModelImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setImportError('');
+    setIsImporting(true);
+    try {
+      const model = await importModelFile(file);
+      const product = {
+        id: `custom-${Date.now()}`,
+        type: 'custom',
+        name: model.name,
+        price: 0,
+        color: null,
+        shade: 50,
+        scale: 1,
+        model,
+      };
+      setCustomProducts((products) => [...products, product]);
+      addFurniture(product);
+    } catch (error) {
+      setImportError(error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // One cart line per product and finish, priced with the finish's modifier
+  const createCartLine = (product, optionId) => {
+    const option = getProductOption(product, optionId);
+    return {
+      id: option ? `${product.id}:${option.id}` : product.id,
+      productId: product.id,
+      option: option ? option.id : undefined,
+      optionName: option ? option.name : undefined,
+      name: product.name,
+      price: getProductPrice(product, optionId),
+      image: product.image,
+    };
+  };
+
+  const addLineToCart = (currentCart, line) => {
+    const existingItem = currentCart.find((item) => item.id === line.id);
     if (existingItem) {
-      setCart(
-        cart.map((item) =>
-          item.id === product.id ? { ...item, quantity: item.quantity + 1 } : item
-        )
-      );
-    } else {
-      setCart([...cart, { ...product, quantity: 1 }]);
+      return currentCart.map((item) => (item.id === line.id ? { ...item, quantity: item.quantity + 1 } : item));
+    }
+    return [...currentCart, { ...line, quantity: 1 }];
+  };
+
+  const addToCart = (product, optionId) => {
+    setCart(addLineToCart(cart, createCartLine(product, optionId)));
+  };
+
+  const takeFromCart = (currentCart, lineId) =>
+    currentCart
+      .map((line) => (line.id === lineId ? { ...line, quantity: line.quantity - 1 } : line))
+      .filter((line) => line.quantity > 0);
+
+  // Switch a placed item to another finish. If its old finish is in the cart, one unit moves
+  // over to the new one so the cart total follows the design.
+  const changeItemOption = (index, optionId) => {
+    const item = furniture[index];
+    const product = findProduct(item);
+    if (!product) return;
+    const previous = cart.find((line) => line.id === createCartLine(product, item.option).id);
+    if (previous) {
+      setCart(addLineToCart(takeFromCart(cart, previous.id), createCartLine(product, optionId)));
     }
+    updateFurniture(index, { option: optionId, price: getProductPrice(product, optionId) });
   };
 
   const updateCartQuantity = (id, quantity) => {
@@ -183,37 +436,521 @@ const DesignDashboard = ({ designs, setDesigns }) => {
     setCart(cart.filter((item) => item.id !== id));
   };
 
-  const updateFurniture = (index, updates) => {
+  // Rapid edits to the same fields of one item (typing, sliders, colour picker) coalesce into a
+  // single undo step; canvas drags pass their own per-gesture key instead. Position changes return
+  // how resolveMove settled them.
+  const updateFurniture = (index, updates, options = {}) => {
+    let applied = updates;
+    let result = null;
+    if ('x' in updates || 'z' in updates) {
+      result = resolveMove(furniture, index, updates, room, { allowOverlap });
+      setBlockedId(result.blocked ? furniture[index].id : null);
+      if (!result.updates) return result;
+      applied = result.updates;
+    }
     const updatedFurniture = [...furniture];
-    updatedFurniture[index] = { ...updatedFurniture[index], ...updates };
-    setFurniture(updatedFurniture);
+    updatedFurniture[index] = { ...updatedFurniture[index], ...applied };
+    setFurniture(updatedFurniture, {
+      coalesceKey: `${furniture[index].id}:${Object.keys(updates).sort().join(',')}`,
+      ...options,
+    });
+    return result;
+  };
+
+  const updateLight = (index, changes) => {
+    const item = furniture[index];
+    updateFurniture(index, { light: { ...getLightSettings(item, getFurnitureType(item.type)), ...changes } });
+  };
+
+  const switchAllLights = (on) => {
+    setFurniture(
+      furniture.map((item) => {
+        const definition = getFurnitureType(item.type);
+        return definition && definition.light ? { ...item, light: { ...getLightSettings(item, definition), on } } : item;
+      })
+    );
+  };
+
+  const setRoomLighting = (changes, options) => {
+    setRoom({ ...room, lighting: { ...getRoomLighting(room), ...changes } }, options);
+  };
+
+  // Write new positions ({ [id]: { x, z } }) for several items as one edit
+  const applyPositions = (positions, options) => {
+    if (Object.keys(positions).length === 0) return;
+    setFurniture(
+      furniture.map((item) => (positions[item.id] ? { ...item, ...positions[item.id] } : item)),
+      options
+    );
+  };
+
+  const moveFurnitureGroup = (targets, options) => {
+    const result = resolveGroupMove(furniture, targets, room, { allowOverlap });
+    setBlockedId(result.blocked ? Number(Object.keys(targets)[0]) : null);
+    if (result.positions) applyPositions(result.positions, options);
+    return result;
+  };
+
+  const updateSelectedFurniture = (updates) => {
+    setFurniture(
+      furniture.map((item) => (selectedIds.includes(item.id) ? { ...item, ...updates } : item)),
+      { coalesceKey: `selection:${Object.keys(updates).sort().join(',')}` }
+    );
+  };
+
+  const rotateFurniture = (ids, degrees) => {
+    setFurniture(
+      furniture.map((item) =>
+        ids.includes(item.id) ? { ...item, rotation: normalizeRotation((item.rotation || 0) + degrees) } : item
+      )
+    );
+  };
+
+  // Copies land on the nearest free spot beside the original and are added to the cart like new pieces
+  const duplicateFurniture = (ids) => {
+    let nextFurniture = furniture;
+    let nextCart = cart;
+    const copyIds = [];
+    furniture
+      .filter((item) => ids.includes(item.id))
+      .forEach((item, i) => {
+        const copy = { ...item, id: Date.now() + i };
+        const preferred = { x: (item.x || 0) + 0.5, z: (item.z || 0) + 0.5 };
+        Object.assign(copy, findFreePosition(nextFurniture, copy, room, preferred));
+        nextFurniture = [...nextFurniture, copy];
+        copyIds.push(copy.id);
+        const product = !item.model && findProduct(item);
+        if (product) nextCart = addLineToCart(nextCart, createCartLine(product, item.option));
+      });
+    setFurniture(nextFurniture);
+    setCart(nextCart);
+    setSelectedIds(copyIds);
+  };
+
+  // Removing a piece takes one unit of it out of the cart, if it is there
+  const removeFurniture = (ids) => {
+    let nextCart = cart;
+    furniture
+      .filter((item) => ids.includes(item.id))
+      .forEach((item) => {
+        const product = !item.model && findProduct(item);
+        if (product) nextCart = takeFromCart(nextCart, createCartLine(product, item.option).id);
+      });
+    setFurniture(furniture.filter((item) => !ids.includes(item.id)));
+    setCart(nextCart);
+    setSelectedIds(selectedIds.filter((id) => !ids.includes(id)));
+  };
+
+  const handleContextAction = (action) => {
+    const { ids } = contextMenu;
+    setContextMenu(null);
+    if (action === 'rotate') rotateFurniture(ids, 90);
+    else if (action === 'duplicate') duplicateFurniture(ids);
+    else if (action === 'remove') removeFurniture(ids);
+    else if (action === 'selectAll') selectAndAnnounce(furniture.map((item) => item.id));
+    else if (action === 'clearSelection') selectAndAnnounce([]);
+  };
+
+  const selectAndAnnounce = (ids) => {
+    setSelectedIds(ids);
+    setAnnouncement(describeSelection(furniture, ids));
+  };
+
+  const selectFurniture = (id, additive) => {
+    if (!additive) {
+      selectAndAnnounce([id]);
+    } else {
+      selectAndAnnounce(selectedIds.includes(id) ? selectedIds.filter((selectedId) => selectedId !== id) : [...selectedIds, id]);
+    }
+  };
+
+  // Arrow-key nudge of the selection, with the same collision rules as dragging
+  const nudgeSelection = (offset) => {
+    const round = (n) => Math.round(n * 1000) / 1000;
+    if (selectedIds.length === 1) {
+      const index = furniture.findIndex((item) => item.id === selectedIds[0]);
+      if (index === -1) return;
+      const item = furniture[index];
+      const target = { x: round((item.x || 0) + offset.x), z: round((item.z || 0) + offset.z) };
+      const result = updateFurniture(index, target, { coalesceKey: `nudge:${item.id}` });
+      setAnnouncement(
+        result.updates
+          ? `${result.blocked ? 'Stopped at' : 'Moved to'} X ${result.updates.x.toFixed(2)} m, Z ${result.updates.z.toFixed(2)} m.`
+          : `${getItemLabel(item, index)} can't move there.`
+      );
+      return;
+    }
+    const targets = {};
+    furniture.forEach((item) => {
+      if (selectedIds.includes(item.id)) {
+        targets[item.id] = { x: round((item.x || 0) + offset.x), z: round((item.z || 0) + offset.z) };
+      }
+    });
+    const result = moveFurnitureGroup(targets, { coalesceKey: 'nudge:selection' });
+    const count = selectedIds.length;
+    let message = "The selection can't move there.";
+    if (result.positions) message = result.blocked ? `Stopped ${count} items at the wall.` : `Moved ${count} items.`;
+    setAnnouncement(message);
+  };
+
+  // Keys for editing the selection while the canvas or the list view has focus
+  const handleEditorKeyDown = (event) => {
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName) || event.ctrlKey || event.metaKey) return;
+    const nudge = getNudge(event);
+    if (event.key === ']' || event.key === '[') {
+      event.preventDefault();
+      const index = cycleIndex(furniture, selectedIds, event.key === '[');
+      if (index !== -1) selectAndAnnounce([furniture[index].id]);
+    } else if (event.key === 'Escape' && selectedIds.length > 0) {
+      selectAndAnnounce([]);
+    } else if (nudge && selectedIds.length > 0) {
+      event.preventDefault();
+      nudgeSelection(nudge);
+    } else if (event.key.toLowerCase() === 'r' && !event.altKey && selectedIds.length > 0) {
+      event.preventDefault();
+      const degrees = event.shiftKey ? -ROTATE_STEP : ROTATE_STEP;
+      rotateFurniture(selectedIds, degrees);
+      const index = furniture.findIndex((item) => item.id === selectedIds[0]);
+      setAnnouncement(
+        selectedIds.length === 1
+          ? describeItem({ ...furniture[index], rotation: normalizeRotation((furniture[index].rotation || 0) + degrees) }, index)
+          : `Rotated ${selectedIds.length} items by ${degrees}°.`
+      );
+    } else if ((event.key === 'Delete' || event.key === 'Backspace') && selectedIds.length > 0) {
+      event.preventDefault();
+      removeFurniture(selectedIds);
+      setAnnouncement(`Removed ${selectedIds.length === 1 ? 'the selected item' : `${selectedIds.length} items`}.`);
+    }
+  };
+
+  const selectedFurniture = furniture.filter((item) => selectedIds.includes(item.id));
+
+  const captureThumbnail = () => {
+    thumbnailError.current = '';
+    if (!sceneRef.current) return null;
+    try {
+      return renderThumbnail(sceneRef.current);
+    } catch (error) {
+      thumbnailError.current = error.message;
+      return null;
+    }
+  };
+
+  // Preset and saved views are 3D views, so picking one leaves 2D or Walk
+  const goToView = (view) => {
+    setViewMode('3D');
+    setViewRequest({ position: view.position, target: view.target });
+  };
+
+  const saveCameraView = () => {
+    const name = newViewName.trim() || `View ${cameraViews.length + 1}`;
+    setCameraViews([...cameraViews, createCameraView(name, cameraPose.current)]);
+    setNewViewName('');
   };
 
+  const deleteCameraView = (id) => {
+    setCameraViews(cameraViews.filter((view) => view.id !== id));
+  };
+
+  const openDesign = designs.find((design) => design.id === openDesignId) || null;
+  const isDirty =
+    room !== savedState.room || furniture !== savedState.furniture || cameraViews !== savedState.cameraViews;
+  const defaultDesignName = `Design ${designs.length + 1} (${room.name})`;
+
+  const markSaved = (id, state = { room, furniture, cameraViews }) => {
+    setOpenDesignId(id);
+    setSavedState(state);
+  };
+
+  const buildDesign = (id, name) => ({
+    id,
+    name,
+    updatedAt: Date.now(),
+    room,
+    furniture,
+    cameraViews,
+    camera: cameraPose.current,
+    thumbnail: captureThumbnail(),
+  });
+
+  // Writing designs clears the last sync error, so a thumbnail that failed to render is reported after.
+  // A design too large to store isn't written at all and stays unsaved, so its draft is kept.
+  const storeSavedDesign = (next, design) => {
+    const sizeError = checkDesignSize(design);
+    if (sizeError) {
+      reportError(sizeError);
+      return;
+    }
+    setDesigns(next);
+    recordRevision(design);
+    if (thumbnailError.current) {
+      reportError(`"${design.name}" was saved without a thumbnail: ${thumbnailError.current}`);
+    }
+    markSaved(design.id);
+  };
+
+  // Save overwrites the open design, keeping anything else stored on it; a new design gets a new entry
   const saveDesign = () => {
-    const design = {
-      id: Date.now(),
-      room,
-      furniture,
-      name: `Design ${designs.length + 1} (${room.name})`,
-    };
-    setDesigns([...designs, design]);
-    resetDesign();
+    if (!openDesign) {
+      saveDesignAs(defaultDesignName);
+      return;
+    }
+    const design = { ...openDesign, ...buildDesign(openDesign.id, openDesign.name) };
+    storeSavedDesign(designs.map((d) => (d.id === design.id ? design : d)), design);
+  };
+
+  // Library details of the open design, carried over to copies made from it
+  const getDesignDetails = () => ({
+    client: openDesign ? openDesign.client : '',
+    tags: openDesign ? openDesign.tags : [],
+    notes: openDesign ? openDesign.notes : '',
+  });
+
+  const saveDesignAs = (name) => {
+    const design = { ...getDesignDetails(), ...buildDesign(Date.now(), name.trim() || defaultDesignName) };
+    storeSavedDesign([...designs, design], design);
+    setSaveAsName(null);
+  };
+
+  // Opening another design or starting a new one asks first when there are unsaved changes
+  const confirmDiscard = (run) => {
+    if (isDirty) {
+      setPendingDiscard({ run });
+    } else {
+      run();
+    }
   };
 
   const editDesign = (design) => {
-    setRoom(design.room);
-    setFurniture(design.furniture);
+    const views = design.cameraViews || [];
+    commit({ room: design.room, furniture: design.furniture });
+    setCameraViews(views);
+    goToView(design.camera || DEFAULT_VIEW);
+    markSaved(design.id, { room: design.room, furniture: design.furniture, cameraViews: views });
   };
 
   const deleteDesign = (id) => {
     setDesigns(designs.filter((d) => d.id !== id));
     setShowDeleteConfirm(null);
+    // What was open stays on the canvas, now as unsaved work
+    if (id === openDesignId) markSaved(null, {});
+  };
+
+  const renameDesign = () => {
+    const name = renaming.name.trim();
+    if (name) {
+      setDesigns(designs.map((d) => (d.id === renaming.id ? { ...d, name } : d)));
+    }
+    setRenaming(null);
+  };
+
+  const saveDesignDetails = () => {
+    const { id, client, tags, notes } = editingDetails;
+    setDesigns(designs.map((d) => (d.id === id ? { ...d, client: client.trim(), tags: parseTags(tags), notes: notes.trim() } : d)));
+    setEditingDetails(null);
+  };
+
+  const duplicateDesign = (design) => {
+    setDesigns([...designs, { ...design, id: Date.now(), updatedAt: Date.now(), name: `${design.name} (copy)` }]);
+  };
+
+  const libraryQuery = useMemo(() => parseLibraryQuery(searchParams), [searchParams]);
+  const libraryFacets = useMemo(() => getLibraryFacets(designs), [designs]);
+  const libraryPage = useMemo(
+    () => paginate(sortDesigns(filterDesigns(designs, libraryQuery), libraryQuery.sort), libraryQuery.page),
+    [designs, libraryQuery]
+  );
+
+  // Any change other than turning the page starts again from the first page. The URL is replaced
+  // rather than pushed so typing a search doesn't fill the browser history.
+  const updateLibraryQuery = (changes) => {
+    setSearchParams(toSearchParams({ ...libraryQuery, page: 1, ...changes }), { replace: true });
+  };
+
+  const exportDesignFile = (design) => {
+    downloadBlob(new Blob([serializeDesign(design)], { type: 'application/json' }), `${slugify(design.name)}.design.json`);
+  };
+
+  // Imports always become a new design, so a file can't overwrite one already saved
+  const handleDesignImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const { design, errors } = parseDesignFile(await file.text());
+    if (!design) {
+      setDesignImportErrors([`${file.name} could not be imported:`, ...errors]);
+      return;
+    }
+    setDesignImportErrors([]);
+    setDesigns([...designs, { ...design, id: Date.now() }]);
   };
 
   const resetDesign = () => {
-    setFurniture([]);
-    setRoom(predefinedRooms[0]);
-    setViewMode('3D');
+    const blank = { room: predefinedRooms[0], furniture: [] };
+    const views = [];
+    commit(blank);
+    setCameraViews(views);
+    goToView(DEFAULT_VIEW);
+    markSaved(null, { ...blank, cameraViews: views });
+  };
+
+  // The draft keeps the saved design it came from, so Save still overwrites that one. The list may
+  // not have loaded yet; until it has, Save would add a new design.
+  const restoreDraft = () => {
+    const { designId, design } = recoveredDraft;
+    const saved = designs.find((d) => d.id === designId);
+    commit({ room: design.room, furniture: design.furniture });
+    setCameraViews(design.cameraViews);
+    goToView(design.camera || DEFAULT_VIEW);
+    markSaved(
+      designId,
+      saved ? { room: saved.room, furniture: saved.furniture, cameraViews: saved.cameraViews || [] } : {}
+    );
+    setRecoveredDraft(null);
+  };
+
+  // Follow the open design's revisions while the history is shown. Comparisons start from the latest
+  // save against the canvas, which shows what hasn't been saved yet.
+  useEffect(() => {
+    setRevisions([]);
+    setCompare({ from: null, to: CURRENT });
+    if (!showHistory || openDesignId === null) return undefined;
+    return watchRevisions(openDesignId, (next) => {
+      setRevisions(next);
+      setCompare((current) =>
+        next.some((revision) => revision.id === current.from)
+          ? current
+          : { ...current, from: next.length > 0 ? next[0].id : null }
+      );
+    });
+  }, [showHistory, openDesignId, watchRevisions]);
+
+  // { to, diff, overlay } for the two states being compared, or null when there is nothing to compare
+  const comparison = useMemo(() => {
+    if (!showHistory) return null;
+    const getState = (id) =>
+      id === CURRENT ? { room, furniture } : revisions.find((revision) => revision.id === id) || null;
+    const from = getState(compare.from);
+    const to = getState(compare.to);
+    if (!from || !to) return null;
+    const diff = diffDesigns(from, to);
+    return { to, diff, overlay: getDiffOverlay(diff) };
+  }, [showHistory, compare, revisions, room, furniture]);
+  // While an old revision is compared, the canvas shows it instead of the work in progress
+  const showingRevision = Boolean(comparison) && compare.to !== CURRENT;
+  const canvasState = showingRevision ? comparison.to : { room, furniture };
+
+  // Restoring goes through the undo history, and leaves the design to be saved as a new revision
+  const restoreRevision = (revision) => {
+    commit({ room: revision.room, furniture: revision.furniture });
+    setCameraViews(revision.cameraViews || []);
+    setCompare({ from: revision.id, to: CURRENT });
+  };
+
+  const branchRevision = (revision) => {
+    confirmDiscard(() => {
+      const design = {
+        ...getDesignDetails(),
+        id: Date.now(),
+        updatedAt: Date.now(),
+        name: `${revision.name} (from ${new Date(revision.savedAt).toLocaleDateString()})`,
+        room: revision.room,
+        furniture: revision.furniture,
+        cameraViews: revision.cameraViews || [],
+        camera: revision.camera,
+      };
+      setDesigns([...designs, design]);
+      recordRevision(design);
+      editDesign(design);
+    });
+  };
+
+  useEffect(() => {
+    draftRef.current = isDirty ? { designId: openDesignId, room, furniture, cameraViews } : null;
+  });
+
+  // Autosave: write the unsaved state when it has changed since the last write. A state that
+  // doesn't fit is reported once rather than on every tick.
+  useEffect(() => {
+    if (!uid) return undefined;
+    const writeDraft = () => {
+      const draft = draftRef.current;
+      const written = writtenDraft.current;
+      if (!draft || (written && Object.keys(draft).every((key) => draft[key] === written[key]))) return;
+      const { designId, ...design } = draft;
+      writtenDraft.current = draft;
+      try {
+        saveDraft(uid, designId, { ...design, camera: cameraPose.current });
+      } catch (error) {
+        reportError(`Could not keep a draft of your unsaved work in this browser: ${error.message}`);
+      }
+    };
+    const timer = setInterval(writeDraft, AUTOSAVE_INTERVAL);
+    window.addEventListener('pagehide', writeDraft);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener('pagehide', writeDraft);
+    };
+  }, [uid, reportError]);
+
+  // Nothing to recover once the work is saved or discarded; a draft offered for recovery is kept
+  // until it is restored or dismissed
+  useEffect(() => {
+    if (uid && !isDirty && !recoveredDraft) {
+      clearDraft(uid);
+      writtenDraft.current = null;
+    }
+  }, [uid, isDirty, recoveredDraft]);
+
+  const handleExport = async (format) => {
+    setShowExportMenu(false);
+    setExportError('');
+    if (!sceneRef.current) {
+      setExportError('The design canvas is not ready yet.');
+      return;
+    }
+    setIsExporting(true);
+    try {
+      const baseName = slugify(`${room.name} design`);
+      if (format === 'glb') {
+        downloadBlob(await exportGLB(sceneRef.current.scene, room.height), `${baseName}.glb`);
+      } else {
+        downloadBlob(await exportOBJ(sceneRef.current.scene, room.height, baseName), `${baseName}-obj.zip`);
+      }
+    } catch (error) {
+      setExportError(`Export failed: ${error.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleSnapshotPreset = (presetId) => {
+    const preset = SNAPSHOT_PRESETS.find((p) => p.id === presetId);
+    setSnapshotOptions((options) =>
+      preset ? { ...options, preset: presetId, width: preset.width, height: preset.height } : { ...options, preset: presetId }
+    );
+  };
+
+  const takeSnapshot = () => {
+    setSnapshotError('');
+    if (!sceneRef.current) {
+      setSnapshotError('The design canvas is not ready yet.');
+      return;
+    }
+    const width = Math.round(snapshotOptions.width);
+    const height = Math.round(snapshotOptions.height);
+    if (!(width >= 16 && height >= 16)) {
+      setSnapshotError('Width and height must be at least 16 pixels.');
+      return;
+    }
+    try {
+      const dataUrl = renderSnapshot(sceneRef.current, width, height, { transparent: snapshotOptions.transparent });
+      downloadDataUrl(dataUrl, `${slugify(`${room.name} ${viewMode}`)}-${width}x${height}.png`);
+      setShowSnapshot(false);
+    } catch (error) {
+      setSnapshotError(error.message);
+    }
   };
 
   const handleLogout = async () => {
@@ -261,6 +998,7 @@ const DesignDashboard = ({ designs, setDesigns }) => {
             <div>
               <button
                 onClick={() => toggleSection('room')}
+                aria-expanded={expandedSections.room}
                 className="w-full flex justify-between items-center text-lg font-semibold text-gray-900 hover:text-indigo-600 transition-colors"
               >
                 Room Settings
@@ -268,55 +1006,178 @@ const DesignDashboard = ({ designs, setDesigns }) => {
               </button>
               {expandedSections.room && (
                 <div className="mt-4 space-y-4 animate-fadeIn">
-                  <select
-                    value={room.id}
-                    onChange={(e) => handleRoomChange(e.target.value)}
-                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
-                  >
-                    {predefinedRooms.map((r) => (
-                      <option key={r.id} value={r.id}>
-                        {r.name}
-                      </option>
-                    ))}
-                  </select>
-                  <select
-                    value={room.wallTexture}
-                    onChange={(e) => handleWallTextureChange(e.target.value)}
-                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                  <label className="block text-sm text-gray-700">
+                    Room
+                    <select
+                      value={room.id}
+                      onChange={(e) => handleRoomChange(e.target.value)}
+                      className="w-full p-3 mt-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                    >
+                      {predefinedRooms.map((r) => (
+                        <option key={r.id} value={r.id}>
+                          {r.name}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  {finishSurfaces.map(({ surface, label }) => (
+                    <label key={surface} className="block text-sm text-gray-700">
+                      {label}
+                      <select
+                        value={getRoomFinishes(room)[surface].file}
+                        onChange={(e) => handleFinishChange(surface, e.target.value)}
+                        className="w-full p-3 mt-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                      >
+                        {getFinishes(surface).map((finish) => (
+                          <option key={finish.id} value={finish.file}>
+                            {finish.name} ({finish.tileSize.width} × {finish.tileSize.height} m tile)
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                  <label className="block text-sm text-gray-700">
+                    Width (m)
+                    <input
+                      type="number"
+                      value={room.width}
+                      onChange={(e) => resizeRoom('width', e.target.value)}
+                      className="w-full p-3 mt-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                    />
+                  </label>
+                  <label className="block text-sm text-gray-700">
+                    Height (m)
+                    <input
+                      type="number"
+                      value={room.height}
+                      onChange={(e) => setRoom({ ...room, height: validateDimension(e.target.value) }, { coalesceKey: 'room:height' })}
+                      className="w-full p-3 mt-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                    />
+                  </label>
+                  <label className="block text-sm text-gray-700">
+                    Depth (m)
+                    <input
+                      type="number"
+                      value={room.depth}
+                      onChange={(e) => resizeRoom('depth', e.target.value)}
+                      className="w-full p-3 mt-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                    />
+                  </label>
+                  <label className="block text-sm text-gray-700">
+                    Wall colour
+                    <input
+                      type="color"
+                      value={room.color}
+                      onChange={(e) => setRoom({ ...room, color: e.target.value }, { coalesceKey: 'room:color' })}
+                      className="w-full h-12 mt-1 rounded-lg cursor-pointer"
+                    />
+                  </label>
+                  <button
+                    onClick={() => setShowFloorPlan(true)}
+                    className="w-full p-3 bg-gray-200 text-gray-900 rounded-lg hover:bg-gray-300 transition-all duration-300 flex items-center justify-center gap-2"
                   >
-                    {wallTextures.map((texture) => (
-                      <option key={texture.id} value={texture.file}>
-                        {texture.name}
-                      </option>
-                    ))}
-                  </select>
-                  <input
-                    type="number"
-                    placeholder="Width (m)"
-                    value={room.width}
-                    onChange={(e) => setRoom({ ...room, width: validateDimension(e.target.value) })}
-                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
-                  />
-                  <input
-                    type="number"
-                    placeholder="Height (m)"
-                    value={room.height}
-                    onChange={(e) => setRoom({ ...room, height: validateDimension(e.target.value) })}
-                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
-                  />
-                  <input
-                    type="number"
-                    placeholder="Depth (m)"
-                    value={room.depth}
-                    onChange={(e) => setRoom({ ...room, depth: validateDimension(e.target.value) })}
-                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
-                  />
-                  <input
-                    type="color"
-                    value={room.color}
-                    onChange={(e) => setRoom({ ...room, color: e.target.value })}
-                    className="w-full h-12 rounded-lg cursor-pointer"
-                  />
+                    <PenTool className="w-5 h-5" />
+                    Edit Floor Plan
+                  </button>
+                  <div className="space-y-3">
+                    <h4 className="font-medium text-gray-900">Doors &amp; Windows</h4>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => addOpening('door')}
+                        className="flex-1 p-3 bg-gray-200 text-gray-900 rounded-lg hover:bg-gray-300 transition-all duration-300 flex items-center justify-center gap-2"
+                      >
+                        <DoorOpen className="w-5 h-5" />
+                        Add Door
+                      </button>
+                      <button
+                        onClick={() => addOpening('window')}
+                        className="flex-1 p-3 bg-gray-200 text-gray-900 rounded-lg hover:bg-gray-300 transition-all duration-300 flex items-center justify-center gap-2"
+                      >
+                        <AppWindow className="w-5 h-5" />
+                        Add Window
+                      </button>
+                    </div>
+                    {openingError && <p className="text-sm text-rose-600">{openingError}</p>}
+                    {(room.openings || []).map((opening) => {
+                      const blockers = describeBlockers(opening.id);
+                      return (
+                        <div
+                          key={opening.id}
+                          className={`p-4 rounded-lg bg-gray-50 shadow-sm space-y-2 ${blockers ? 'ring-2 ring-rose-400' : ''}`}
+                        >
+                          <div className="flex justify-between items-center">
+                            <span className="font-medium text-gray-900">{openingLabels[opening.id]}</span>
+                            <button
+                              onClick={() => removeOpening(opening.id)}
+                              className="text-gray-500 hover:text-rose-600 transition-colors"
+                              aria-label={`Remove ${openingLabels[opening.id]}`}
+                            >
+                              <Trash2 className="w-5 h-5" />
+                            </button>
+                          </div>
+                          {blockers && (
+                            <p className="text-sm text-rose-600">
+                              {opening.type === 'door' ? 'Door swing' : 'Window'} blocked by {blockers}
+                            </p>
+                          )}
+                          <label className="block text-sm text-gray-700">
+                            Wall
+                            <select
+                              value={opening.wall}
+                              onChange={(e) => updateOpening(opening.id, { wall: parseInt(e.target.value, 10) })}
+                              className="w-full p-2 mt-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                            >
+                              {roomWalls.map((wall, i) => (
+                                <option key={i} value={i}>
+                                  Wall {i + 1} ({wall.length.toFixed(2)} m)
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                          <div className="grid grid-cols-2 gap-2">
+                            {[
+                              { key: 'offset', label: 'Position (m)' },
+                              { key: 'width', label: 'Width (m)' },
+                              { key: 'height', label: 'Height (m)' },
+                              ...(opening.type === 'window' ? [{ key: 'sill', label: 'Sill (m)' }] : []),
+                            ].map(({ key, label }) => (
+                              <label key={key} className="block text-sm text-gray-700">
+                                {label}
+                                <input
+                                  type="number"
+                                  step="0.05"
+                                  value={Math.round(opening[key] * 100) / 100}
+                                  onChange={(e) => updateOpening(opening.id, { [key]: parseFloat(e.target.value) || 0 })}
+                                  className="w-full p-2 mt-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                                />
+                              </label>
+                            ))}
+                            {opening.type === 'door' && (
+                              <label className="block text-sm text-gray-700">
+                                Hinge
+                                <select
+                                  value={opening.hinge}
+                                  onChange={(e) => updateOpening(opening.id, { hinge: e.target.value })}
+                                  className="w-full p-2 mt-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                                >
+                                  <option value="left">Left</option>
+                                  <option value="right">Right</option>
+                                </select>
+                              </label>
+                            )}
+                          </div>
+                        </div>
+                      );
+                    })}
+                    {(room.openings || []).length > 0 && (
+                      <p className="text-xs text-gray-500">Position is measured from the start of the wall to the middle of the opening.</p>
+                    )}
+                  </div>
+                  {outsideCount > 0 && (
+                    <p className="text-sm text-rose-600">
+                      {outsideCount} item{outsideCount === 1 ? '' : 's'} now fall outside the room and are highlighted in red.
+                    </p>
+                  )}
                 </div>
               )}
             </div>
@@ -324,6 +1185,7 @@ const DesignDashboard = ({ designs, setDesigns }) => {
             <div>
               <button
                 onClick={() => toggleSection('catalog')}
+                aria-expanded={expandedSections.catalog}
                 className="w-full flex justify-between items-center text-lg font-semibold text-gray-900 hover:text-indigo-600 transition-colors"
               >
                 Product Catalog
@@ -331,6 +1193,39 @@ const DesignDashboard = ({ designs, setDesigns }) => {
               </button>
               {expandedSections.catalog && (
                 <div className="mt-4 space-y-4 animate-fadeIn max-h-[500px] overflow-y-auto" ref={catalogRef}>
+                  <div>
+                    <label
+                      className={`w-full p-3 border-2 border-dashed border-gray-300 rounded-lg text-gray-700 hover:border-indigo-500 hover:text-indigo-600 transition-all duration-300 flex items-center justify-center gap-2 cursor-pointer ${
+                        isImporting ? 'opacity-50 pointer-events-none' : ''
+                      }`}
+                    >
+                      <Upload className="w-5 h-5" />
+                      {isImporting ? 'Importing model...' : 'Import 3D model (.glb / .gltf)'}
+                      <input type="file" accept=".glb,.gltf" onChange={handleModelImport} className="hidden" />
+                    </label>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Up to {formatKilobytes(MAX_MODEL_BYTES)}. Models are resized to real-world units and placed on the floor.
+                      Each copy is saved inside the design, which holds about 1 MB in all.
+                    </p>
+                    {importError && <p className="text-sm text-rose-600 mt-1">{importError}</p>}
+                  </div>
+                  {customProducts.map((product) => (
+                    <div key={product.id} className="p-4 bg-gray-50 rounded-lg shadow-sm hover:shadow-md transition-shadow">
+                      <div className="w-full h-32 bg-gray-100 rounded-lg mb-2 flex items-center justify-center">
+                        <Box className="w-10 h-10 text-gray-400" />
+                      </div>
+                      <p className="font-medium text-gray-900 truncate">{product.name}</p>
+                      <p className="text-gray-600">
+                        Imported model · {product.model.footprint.width.toFixed(2)} × {product.model.footprint.depth.toFixed(2)} m
+                      </p>
+                      <button
+                        onClick={() => addFurniture(product)}
+                        className="w-full p-2 mt-2 bg-teal-500 text-white rounded-lg hover:bg-teal-600 transition-all duration-300 flex items-center justify-center gap-2"
+                      >
+                        Add to Room
+                      </button>
+                    </div>
+                  ))}
                   {productCatalog.map((product) => (
                     <div key={product.id} className="p-4 bg-gray-50 rounded-lg shadow-sm hover:shadow-md transition-shadow">
                       <img
@@ -341,6 +1236,11 @@ const DesignDashboard = ({ designs, setDesigns }) => {
                       />
                       <p className="font-medium text-gray-900">{product.name}</p>
                       <p className="text-gray-600">${product.price.toFixed(2)}</p>
+                      {product.options && (
+                        <p className="text-sm text-gray-500">
+                          {product.options.length} finishes · {product.options.map((option) => option.name).join(', ')}
+                        </p>
+                      )}
                       <button
                         onClick={() => addFurniture(product)}
                         className="w-full p-2 mt-2 bg-teal-500 text-white rounded-lg hover:bg-teal-600 transition-all duration-300 flex items-center justify-center gap-2"
@@ -356,6 +1256,7 @@ const DesignDashboard = ({ designs, setDesigns }) => {
             <div>
               <button
                 onClick={() => toggleSection('furnitureSettings')}
+                aria-expanded={expandedSections.furnitureSettings}
                 className="w-full flex justify-between items-center text-lg font-semibold text-gray-900 hover:text-indigo-600 transition-colors"
               >
                 Furniture Settings
@@ -363,62 +1264,256 @@ const DesignDashboard = ({ designs, setDesigns }) => {
               </button>
               {expandedSections.furnitureSettings && (
                 <div className="mt-4 space-y-4 animate-fadeIn max-h-[500px] overflow-y-auto" ref={furnitureSettingsRef}>
+                  <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={allowOverlap}
+                      onChange={(e) => setAllowOverlap(e.target.checked)}
+                      className="accent-indigo-500"
+                    />
+                    Allow furniture to overlap
+                  </label>
+                  {selectedFurniture.length > 1 && (
+                    <div className="p-4 bg-indigo-50 rounded-lg space-y-3">
+                      <div className="flex justify-between items-center">
+                        <p className="font-medium text-gray-900">{selectedFurniture.length} items selected</p>
+                        <button
+                          onClick={() => selectAndAnnounce([])}
+                          className="text-sm text-indigo-600 hover:text-indigo-800"
+                        >
+                          Clear
+                        </button>
+                      </div>
+                      <div className="grid grid-cols-3 gap-2">
+                        {[
+                          ['left', 'Left'],
+                          ['centerX', 'Centre'],
+                          ['right', 'Right'],
+                          ['top', 'Top'],
+                          ['centerZ', 'Middle'],
+                          ['bottom', 'Bottom'],
+                        ].map(([mode, label]) => (
+                          <button
+                            key={mode}
+                            onClick={() => applyPositions(alignItems(furniture, selectedIds, mode, room))}
+                            title={`Align ${label.toLowerCase()}`}
+                            className="p-2 text-sm bg-white text-gray-900 rounded-lg hover:bg-gray-100 transition-all duration-300"
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                      <div className="grid grid-cols-2 gap-2">
+                        <button
+                          onClick={() => applyPositions(distributeItems(furniture, selectedIds, 'x', room))}
+                          disabled={selectedFurniture.length < 3}
+                          className="p-2 text-sm bg-white text-gray-900 rounded-lg hover:bg-gray-100 transition-all duration-300 disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          Distribute horizontally
+                        </button>
+                        <button
+                          onClick={() => applyPositions(distributeItems(furniture, selectedIds, 'z', room))}
+                          disabled={selectedFurniture.length < 3}
+                          className="p-2 text-sm bg-white text-gray-900 rounded-lg hover:bg-gray-100 transition-all duration-300 disabled:opacity-40 disabled:cursor-not-allowed"
+                        >
+                          Distribute vertically
+                        </button>
+                      </div>
+                      <input
+                        type="color"
+                        value={selectedFurniture[0].color || '#ffffff'}
+                        onChange={(e) => updateSelectedFurniture({ color: e.target.value })}
+                        className="w-full h-12 rounded-lg cursor-pointer"
+                        title="Colour of all selected items"
+                        aria-label="Colour of all selected items"
+                      />
+                      <input
+                        type="range"
+                        min="0"
+                        max="100"
+                        value={selectedFurniture[0].shade || 50}
+                        onChange={(e) => updateSelectedFurniture({ shade: parseFloat(e.target.value) })}
+                        className="w-full accent-indigo-500"
+                        title="Shade of all selected items"
+                        aria-label="Shade of all selected items"
+                      />
+                    </div>
+                  )}
                   {furniture.length === 0 ? (
                     <p className="text-gray-500 text-center">No furniture added.</p>
                   ) : (
                     furniture.map((item, index) => (
                       <div
                         key={item.id}
-                        className="p-4 bg-gray-50 rounded-lg shadow-sm hover:shadow-md transition-shadow"
+                        className={`p-4 rounded-lg shadow-sm hover:shadow-md transition-shadow ${
+                          selectedIds.includes(item.id) ? 'bg-indigo-50' : 'bg-gray-50'
+                        } ${layoutIssues[item.id] ? 'ring-2 ring-rose-400' : selectedIds.includes(item.id) ? 'ring-2 ring-indigo-400' : ''}`}
                       >
-                        <p className="capitalize font-medium text-gray-900">
-                          {item.name || item.type} #{index + 1}
+                        <button
+                          onClick={(e) => selectFurniture(item.id, e.shiftKey || e.ctrlKey || e.metaKey)}
+                          className="capitalize font-medium text-gray-900 hover:text-indigo-600 text-left"
+                          title="Select (Shift-click to add to the selection)"
+                        >
+                          {getItemLabel(item, index)}
+                        </button>
+                        {layoutIssues[item.id] && (
+                          <p className="text-sm text-rose-600">
+                            {layoutIssues[item.id] === 'outside' ? 'Outside the room' : 'Overlapping another item'}
+                          </p>
+                        )}
+                        {openingIssues.items[item.id] && (
+                          <p className="text-sm text-amber-600">
+                            In front of {openingIssues.items[item.id].map((id) => openingLabels[id]).join(', ')}
+                          </p>
+                        )}
+                        <div className="grid grid-cols-3 gap-2 mt-2">
+                          <label className="block text-sm text-gray-700">
+                            X (m)
+                            <input
+                              type="number"
+                              step="0.1"
+                              value={item.x || 0}
+                              onChange={(e) =>
+                                updateFurniture(index, { x: parseFloat(e.target.value) || 0 })
+                              }
+                              aria-label={`${getItemLabel(item, index)} X position in metres`}
+                              className="w-full p-3 mt-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                            />
+                          </label>
+                          <label className="block text-sm text-gray-700">
+                            Z (m)
+                            <input
+                              type="number"
+                              step="0.1"
+                              value={item.z || 0}
+                              onChange={(e) =>
+                                updateFurniture(index, { z: parseFloat(e.target.value) || 0 })
+                              }
+                              aria-label={`${getItemLabel(item, index)} Z position in metres`}
+                              className="w-full p-3 mt-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                            />
+                          </label>
+                          <label className="block text-sm text-gray-700">
+                            Scale
+                            <input
+                              type="number"
+                              value={item.scale || 1}
+                              min="0.1"
+                              step="0.1"
+                              onChange={(e) =>
+                                updateFurniture(index, { scale: parseFloat(e.target.value) || 1 })
+                              }
+                              aria-label={`${getItemLabel(item, index)} scale`}
+                              className="w-full p-3 mt-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                            />
+                          </label>
+                        </div>
+                        <p id={`rotation-${item.id}`} className="text-sm text-gray-700 mt-2">
+                          Rotation (°)
                         </p>
-                        <input
-                          type="number"
-                          placeholder="X Position (m)"
-                          value={item.x || 0}
-                          onChange={(e) =>
-                            updateFurniture(index, { x: parseFloat(e.target.value) || 0 })
-                          }
-                          className="w-full p-3 mt-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
-                        />
-                        <input
-                          type="number"
-                          placeholder="Z Position (m)"
-                          value={item.z || 0}
-                          onChange={(e) =>
-                            updateFurniture(index, { z: parseFloat(e.target.value) || 0 })
-                          }
-                          className="w-full p-3 mt-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
-                        />
-                        <input
-                          type="number"
-                          placeholder="Scale"
-                          value={item.scale || 1}
-                          min="0.1"
-                          step="0.1"
-                          onChange={(e) =>
-                            updateFurniture(index, { scale: parseFloat(e.target.value) || 1 })
-                          }
-                          className="w-full p-3 mt-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
-                        />
-                        <input
-                          type="color"
-                          value={item.color}
-                          onChange={(e) => updateFurniture(index, { color: e.target.value })}
-                          className="w-full h-12 mt-2 rounded-lg cursor-pointer"
-                        />
-                        <input
-                          type="range"
-                          min="0"
-                          max="100"
-                          value={item.shade || 50}
-                          onChange={(e) =>
-                            updateFurniture(index, { shade: parseFloat(e.target.value) })
-                          }
-                          className="w-full mt-2 accent-indigo-500"
-                        />
+                        <div className="flex items-center gap-3 mt-1">
+                          <input
+                            type="range"
+                            min="0"
+                            max="359"
+                            step="1"
+                            value={item.rotation || 0}
+                            onChange={(e) =>
+                              updateFurniture(index, { rotation: parseFloat(e.target.value) })
+                            }
+                            className="flex-1 accent-indigo-500"
+                            aria-labelledby={`rotation-${item.id}`}
+                          />
+                          <input
+                            type="number"
+                            value={item.rotation || 0}
+                            step="15"
+                            onChange={(e) =>
+                              updateFurniture(index, { rotation: normalizeRotation(parseFloat(e.target.value) || 0) })
+                            }
+                            aria-label={`${getItemLabel(item, index)} rotation in degrees`}
+                            className="w-24 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                          />
+                        </div>
+                        <label className="block text-sm text-gray-700 mt-2">
+                          Colour
+                          <input
+                            type="color"
+                            value={item.color || '#ffffff'}
+                            onChange={(e) => updateFurniture(index, { color: e.target.value })}
+                            className="w-full h-12 mt-1 rounded-lg cursor-pointer"
+                          />
+                        </label>
+                        <label className="block text-sm text-gray-700 mt-2">
+                          Shade
+                          <input
+                            type="range"
+                            min="0"
+                            max="100"
+                            value={item.shade || 50}
+                            onChange={(e) =>
+                              updateFurniture(index, { shade: parseFloat(e.target.value) })
+                            }
+                            className="w-full mt-1 accent-indigo-500"
+                          />
+                        </label>
+                        {findProduct(item) && findProduct(item).options && (
+                          <label className="block text-sm text-gray-700 mt-2">
+                            Material
+                            <select
+                              value={getProductOption(findProduct(item), item.option).id}
+                              onChange={(e) => changeItemOption(index, e.target.value)}
+                              className="w-full p-3 mt-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                            >
+                              {findProduct(item).options.map((option) => (
+                                <option key={option.id} value={option.id}>
+                                  {option.priceModifier === 0
+                                    ? option.name
+                                    : `${option.name} (${option.priceModifier > 0 ? '+' : '−'}$${Math.abs(option.priceModifier).toFixed(2)})`}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                        )}
+                        {fixtureLights[item.id] && (
+                          <div className="mt-3 space-y-2">
+                            <label className="flex items-center gap-2 text-gray-700 cursor-pointer">
+                              <input
+                                type="checkbox"
+                                checked={fixtureLights[item.id].on}
+                                onChange={(e) => updateLight(index, { on: e.target.checked })}
+                                className="accent-indigo-500"
+                              />
+                              Light on
+                            </label>
+                            <label className="block text-sm text-gray-700">
+                              Brightness: {Math.round(fixtureLights[item.id].brightness * 100)}%
+                              <input
+                                type="range"
+                                min="0"
+                                max="2"
+                                step="0.05"
+                                value={fixtureLights[item.id].brightness}
+                                disabled={!fixtureLights[item.id].on}
+                                onChange={(e) => updateLight(index, { brightness: parseFloat(e.target.value) })}
+                                className="w-full accent-indigo-500"
+                              />
+                            </label>
+                            <label className="block text-sm text-gray-700">
+                              Colour temperature: {fixtureLights[item.id].temperature} K
+                              <input
+                                type="range"
+                                min={TEMPERATURE_RANGE.min}
+                                max={TEMPERATURE_RANGE.max}
+                                step="100"
+                                value={fixtureLights[item.id].temperature}
+                                disabled={!fixtureLights[item.id].on}
+                                onChange={(e) => updateLight(index, { temperature: parseInt(e.target.value, 10) })}
+                                className="w-full accent-amber-500"
+                              />
+                            </label>
+                          </div>
+                        )}
                       </div>
                     ))
                   )}
@@ -426,9 +1521,86 @@ const DesignDashboard = ({ designs, setDesigns }) => {
               )}
             </div>
 
+            <div>
+              <button
+                onClick={() => toggleSection('lighting')}
+                aria-expanded={expandedSections.lighting}
+                className="w-full flex justify-between items-center text-lg font-semibold text-gray-900 hover:text-indigo-600 transition-colors"
+              >
+                Lighting
+                {expandedSections.lighting ? <ChevronUp className="w-5 h-5" /> : <ChevronDown className="w-5 h-5" />}
+              </button>
+              {expandedSections.lighting && (
+                <div className="mt-4 space-y-3 animate-fadeIn">
+                  <label className="block text-sm text-gray-700">
+                    <span className="flex items-center gap-2">
+                      <Sun className="w-4 h-4" />
+                      Time of day: {formatTimeOfDay(roomLighting.timeOfDay)}
+                    </span>
+                    <input
+                      type="range"
+                      min="0"
+                      max="23.75"
+                      step="0.25"
+                      value={roomLighting.timeOfDay}
+                      onChange={(e) => setRoomLighting({ timeOfDay: parseFloat(e.target.value) }, { coalesceKey: 'room:timeOfDay' })}
+                      className="w-full accent-indigo-500"
+                    />
+                  </label>
+                  <div className="grid grid-cols-4 gap-2">
+                    {TIME_PRESETS.map((preset) => (
+                      <button
+                        key={preset.id}
+                        onClick={() => setRoomLighting({ timeOfDay: preset.timeOfDay })}
+                        className={`p-2 rounded-lg text-sm transition-all duration-300 ${
+                          roomLighting.timeOfDay === preset.timeOfDay
+                            ? 'bg-indigo-500 text-white'
+                            : 'bg-gray-200 text-gray-900 hover:bg-gray-300'
+                        }`}
+                      >
+                        {preset.name}
+                      </button>
+                    ))}
+                  </div>
+                  <label className="block text-sm text-gray-700">
+                    North: {roomLighting.north}° (compass bearing the top of the floor plan faces)
+                    <input
+                      type="range"
+                      min="0"
+                      max="359"
+                      step="1"
+                      value={roomLighting.north}
+                      onChange={(e) => setRoomLighting({ north: parseInt(e.target.value, 10) }, { coalesceKey: 'room:north' })}
+                      className="w-full accent-indigo-500"
+                    />
+                  </label>
+                  {Object.keys(fixtureLights).length > 0 ? (
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => switchAllLights(true)}
+                        className="flex-1 p-2 bg-gray-200 text-gray-900 rounded-lg hover:bg-gray-300 transition-all duration-300 flex items-center justify-center gap-2 text-sm"
+                      >
+                        <Lightbulb className="w-4 h-4" />
+                        All lights on
+                      </button>
+                      <button
+                        onClick={() => switchAllLights(false)}
+                        className="flex-1 p-2 bg-gray-200 text-gray-900 rounded-lg hover:bg-gray-300 transition-all duration-300 text-sm"
+                      >
+                        All lights off
+                      </button>
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-500">Add lamps or ceiling lights from the catalogue to light the room after dark.</p>
+                  )}
+                </div>
+              )}
+            </div>
+
             <div>
               <button
                 onClick={() => toggleSection('viewMode')}
+                aria-expanded={expandedSections.viewMode}
                 className="w-full flex justify-between items-center text-lg font-semibold text-gray-900 hover:text-indigo-600 transition-colors"
               >
                 View Mode
@@ -456,6 +1628,134 @@ const DesignDashboard = ({ designs, setDesigns }) => {
                   >
                     3D View
                   </button>
+                  <button
+                    onClick={() => setViewMode('Walk')}
+                    className={`w-full p-3 rounded-lg transition-all duration-300 flex items-center justify-center gap-2 ${
+                      viewMode === 'Walk'
+                        ? 'bg-indigo-500 text-white'
+                        : 'bg-gray-100 text-gray-900 hover:bg-gray-200'
+                    }`}
+                  >
+                    <Footprints className="w-5 h-5" />
+                    Walk
+                  </button>
+                  {viewMode === 'Walk' && (
+                    <div className="p-3 bg-gray-50 rounded-lg space-y-2">
+                      <label className="block text-sm text-gray-700">
+                        Eye height: {eyeHeight.toFixed(2)} m
+                        <input
+                          type="range"
+                          min={EYE_HEIGHT_RANGE.min}
+                          max={EYE_HEIGHT_RANGE.max}
+                          step={EYE_HEIGHT_RANGE.step}
+                          value={eyeHeight}
+                          onChange={(e) => setEyeHeight(parseFloat(e.target.value))}
+                          className="w-full accent-indigo-500"
+                        />
+                      </label>
+                      <p className="text-xs text-gray-500">
+                        WASD or arrow keys to move (hold Shift to hurry), drag to look around.
+                      </p>
+                    </div>
+                  )}
+                  <div className="p-3 bg-gray-50 rounded-lg space-y-2">
+                    <p className="text-sm font-medium text-gray-700">Camera views</p>
+                    <div className="grid grid-cols-3 gap-2">
+                      {PRESET_VIEWS.map((preset) => (
+                        <button
+                          key={preset.id}
+                          onClick={() => goToView(getPresetView(preset.id, room))}
+                          className="p-2 bg-white border border-gray-200 rounded-lg text-sm text-gray-900 hover:bg-gray-100 transition-all duration-300"
+                        >
+                          {preset.name}
+                        </button>
+                      ))}
+                    </div>
+                    {cameraViews.map((view) => (
+                      <div key={view.id} className="flex items-center gap-2">
+                        <button
+                          onClick={() => goToView(view)}
+                          className="flex-1 p-2 bg-white border border-gray-200 rounded-lg text-sm text-left text-gray-900 hover:bg-gray-100 transition-all duration-300 truncate"
+                        >
+                          {view.name}
+                        </button>
+                        <button
+                          onClick={() => deleteCameraView(view.id)}
+                          className="p-2 text-gray-500 hover:text-rose-600 transition-colors"
+                          aria-label={`Delete view ${view.name}`}
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        value={newViewName}
+                        onChange={(e) => setNewViewName(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter' && viewMode === '3D') saveCameraView();
+                        }}
+                        placeholder={`View ${cameraViews.length + 1}`}
+                        aria-label="Name for the current view"
+                        className="flex-1 min-w-0 p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                      />
+                      <button
+                        onClick={saveCameraView}
+                        disabled={viewMode !== '3D'}
+                        title={viewMode === '3D' ? 'Save the current camera as a view' : 'Switch to 3D View to save a view'}
+                        className="px-3 py-2 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600 transition-all duration-300 flex items-center gap-1 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        <Bookmark className="w-4 h-4" />
+                        Save
+                      </button>
+                    </div>
+                  </div>
+                  <div className="p-3 bg-gray-50 rounded-lg space-y-2">
+                    <div className="flex items-center justify-between gap-2">
+                      <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={snapToGridEnabled}
+                          onChange={(e) => setSnapToGridEnabled(e.target.checked)}
+                          className="accent-indigo-500"
+                        />
+                        Snap to grid
+                      </label>
+                      <select
+                        value={gridStep}
+                        onChange={(e) => setGridStep(parseFloat(e.target.value))}
+                        disabled={!snapToGridEnabled}
+                        className="p-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all disabled:opacity-40"
+                        title="Grid step"
+                        aria-label="Grid step"
+                      >
+                        {GRID_STEPS.map((step) => (
+                          <option key={step} value={step}>
+                            {step} m
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={snapToWalls}
+                        onChange={(e) => setSnapToWalls(e.target.checked)}
+                        className="accent-indigo-500"
+                      />
+                      Snap backs to walls
+                    </label>
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={showStats}
+                      onChange={(e) => setShowStats(e.target.checked)}
+                      className="accent-indigo-500"
+                    />
+                    Show performance stats (FPS, draw calls, triangles)
+                  </label>
                 </div>
               )}
             </div>
@@ -463,69 +1763,485 @@ const DesignDashboard = ({ designs, setDesigns }) => {
             <div className="flex gap-3">
               <button
                 onClick={saveDesign}
+                title={openDesign ? `Save changes to "${openDesign.name}"` : 'Save as a new design'}
                 className="flex-1 p-3 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 transition-all duration-300 flex items-center justify-center gap-2"
               >
                 <Save className="w-5 h-5" />
                 Save
               </button>
               <button
-                onClick={resetDesign}
+                onClick={() => setSaveAsName(openDesign ? `${openDesign.name} (copy)` : defaultDesignName)}
+                title="Save as a new design under another name"
+                className="flex-1 p-3 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600 transition-all duration-300 flex items-center justify-center gap-2"
+              >
+                <SaveAll className="w-5 h-5" />
+                Save As
+              </button>
+              <button
+                onClick={() => confirmDiscard(resetDesign)}
+                title="Start a new design from an empty room"
                 className="flex-1 p-3 bg-rose-500 text-white rounded-lg hover:bg-rose-600 transition-all duration-300 flex items-center justify-center gap-2"
               >
-                <RotateCcw className="w-5 h-5" />
-                Reset
+                <FilePlus className="w-5 h-5" />
+                New
               </button>
             </div>
+            {saveAsName !== null && (
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  saveDesignAs(saveAsName);
+                }}
+                className="flex gap-2"
+              >
+                <input
+                  type="text"
+                  value={saveAsName}
+                  onChange={(e) => setSaveAsName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Escape' && setSaveAsName(null)}
+                  aria-label="Name of the new design"
+                  autoFocus
+                  className="flex-1 min-w-0 p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+                <button type="submit" className="px-3 py-2 bg-indigo-500 text-white rounded-lg text-sm hover:bg-indigo-600">
+                  Save
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setSaveAsName(null)}
+                  className="px-3 py-2 bg-gray-200 text-gray-900 rounded-lg text-sm hover:bg-gray-300"
+                >
+                  Cancel
+                </button>
+              </form>
+            )}
           </div>
 
           <div className="lg:col-span-3 bg-white rounded-2xl shadow-xl p-6">
-            <h2 className="text-xl font-semibold text-gray-900 mb-4">Design Canvas</h2>
-            <div className="w-full h-[600px] rounded-lg overflow-hidden">
+            {recoveredDraft && (
+              <div className="mb-4 p-3 bg-amber-50 rounded-lg text-sm text-amber-900 flex flex-wrap items-center gap-3" role="alert">
+                <p className="flex-1">
+                  Unsaved work from {new Date(recoveredDraft.savedAt).toLocaleString()} was found on this device.
+                </p>
+                <button onClick={restoreDraft} className="px-3 py-1 bg-amber-500 text-white rounded-lg hover:bg-amber-600">
+                  Restore
+                </button>
+                <button
+                  onClick={() => setRecoveredDraft(null)}
+                  className="px-3 py-1 bg-gray-200 text-gray-900 rounded-lg hover:bg-gray-300"
+                >
+                  Discard
+                </button>
+              </div>
+            )}
+            <div className="flex justify-between items-center mb-4">
+              <div className="min-w-0">
+                <h2 className="text-xl font-semibold text-gray-900">Design Canvas</h2>
+                <p className="text-sm text-gray-500 truncate">
+                  {openDesign ? openDesign.name : 'New design'}
+                  {isDirty && <span className="text-amber-600"> · Unsaved changes</span>}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => {
+                    setSnapshotError('');
+                    setShowSnapshot(true);
+                  }}
+                  title="Render the current view to a PNG image"
+                  className="flex items-center gap-2 px-3 py-2 bg-gray-100 text-gray-900 rounded-lg hover:bg-gray-200 transition-all duration-300"
+                >
+                  <Camera className="w-5 h-5" />
+                  <span className="hidden sm:inline">Take Snapshot</span>
+                </button>
+                <div className="relative">
+                  <button
+                    onClick={() => setShowExportMenu(!showExportMenu)}
+                    disabled={isExporting}
+                    title="Download the room and furniture for other 3D tools"
+                    className="flex items-center gap-2 px-3 py-2 bg-gray-100 text-gray-900 rounded-lg hover:bg-gray-200 transition-all duration-300 disabled:opacity-40"
+                  >
+                    <Download className="w-5 h-5" />
+                    <span className="hidden sm:inline">{isExporting ? 'Exporting...' : 'Export 3D'}</span>
+                  </button>
+                  {showExportMenu && (
+                    <div className="absolute right-0 mt-2 w-56 bg-white rounded-lg shadow-xl z-10 overflow-hidden animate-fadeIn">
+                      <button
+                        onClick={() => handleExport('glb')}
+                        className="w-full px-4 py-3 text-left hover:bg-gray-100 transition-colors"
+                      >
+                        <p className="font-medium text-gray-900">glTF binary (.glb)</p>
+                        <p className="text-xs text-gray-500">Single file with materials and textures</p>
+                      </button>
+                      <button
+                        onClick={() => handleExport('obj')}
+                        className="w-full px-4 py-3 text-left hover:bg-gray-100 transition-colors"
+                      >
+                        <p className="font-medium text-gray-900">OBJ + MTL (.zip)</p>
+                        <p className="text-xs text-gray-500">Geometry, materials and texture files</p>
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <button
+                  onClick={() => setShowListView(!showListView)}
+                  aria-expanded={showListView}
+                  aria-controls="scene-list-view"
+                  title="Show the furniture as an accessible list"
+                  className={`flex items-center gap-2 px-3 py-2 rounded-lg transition-all duration-300 ${
+                    showListView ? 'bg-indigo-500 text-white' : 'bg-gray-100 text-gray-900 hover:bg-gray-200'
+                  }`}
+                >
+                  <List className="w-5 h-5" />
+                  <span className="hidden sm:inline">List view</span>
+                </button>
+                <button
+                  onClick={() => setShowHistory(!showHistory)}
+                  disabled={!openDesign}
+                  aria-expanded={showHistory}
+                  aria-controls="revision-history"
+                  title={openDesign ? 'Compare, restore or branch earlier saves of this design' : 'Save the design to keep its history'}
+                  className={`flex items-center gap-2 px-3 py-2 rounded-lg transition-all duration-300 disabled:opacity-40 disabled:cursor-not-allowed ${
+                    showHistory && openDesign ? 'bg-indigo-500 text-white' : 'bg-gray-100 text-gray-900 hover:bg-gray-200'
+                  }`}
+                >
+                  <History className="w-5 h-5" />
+                  <span className="hidden sm:inline">History</span>
+                </button>
+                <button
+                  onClick={() => setMeasuring(!measuring)}
+                  disabled={viewMode === 'Walk'}
+                  title="Measure distances on the floor (Esc to stop)"
+                  className={`flex items-center gap-2 px-3 py-2 rounded-lg transition-all duration-300 disabled:opacity-40 disabled:cursor-not-allowed ${
+                    measuring ? 'bg-indigo-500 text-white' : 'bg-gray-100 text-gray-900 hover:bg-gray-200'
+                  }`}
+                >
+                  <Ruler className="w-5 h-5" />
+                  <span className="hidden sm:inline">Measure</span>
+                </button>
+                <button
+                  onClick={undo}
+                  disabled={!canUndo}
+                  title="Undo (Ctrl+Z)"
+                  className="flex items-center gap-2 px-3 py-2 bg-gray-100 text-gray-900 rounded-lg hover:bg-gray-200 transition-all duration-300 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  <Undo2 className="w-5 h-5" />
+                  <span className="hidden sm:inline">Undo</span>
+                </button>
+                <button
+                  onClick={redo}
+                  disabled={!canRedo}
+                  title="Redo (Ctrl+Shift+Z)"
+                  className="flex items-center gap-2 px-3 py-2 bg-gray-100 text-gray-900 rounded-lg hover:bg-gray-200 transition-all duration-300 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  <Redo2 className="w-5 h-5" />
+                  <span className="hidden sm:inline">Redo</span>
+                </button>
+              </div>
+            </div>
+            {exportError && <p className="text-sm text-rose-600 mb-2">{exportError}</p>}
+            <div
+              className="w-full h-[600px] rounded-lg overflow-hidden focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500"
+              tabIndex={0}
+              role="application"
+              aria-label="Design canvas"
+              aria-describedby="canvas-keyboard-help"
+              onKeyDown={viewMode === 'Walk' || showingRevision ? undefined : handleEditorKeyDown}
+            >
               <DesignCanvas
-                room={room}
-                furniture={furniture}
+                room={canvasState.room}
+                furniture={canvasState.furniture}
                 viewMode={viewMode}
                 onUpdateFurniture={updateFurniture}
+                onMoveFurnitureGroup={moveFurnitureGroup}
+                selectedIds={selectedIds}
+                onSelect={selectAndAnnounce}
+                snap={snap}
+                measuring={measuring && viewMode !== 'Walk'}
+                eyeHeight={eyeHeight}
+                viewRequest={viewRequest}
+                onCameraChange={(pose) => {
+                  cameraPose.current = pose;
+                }}
+                onContextMenu={setContextMenu}
+                showStats={showStats}
+                sceneRef={sceneRef}
+                highlightedIds={
+                  showingRevision ? {} : blockedId === null ? layoutIssues : { ...layoutIssues, [blockedId]: 'blocked' }
+                }
+                blockedOpenings={showingRevision ? {} : openingIssues.openings}
+                diff={comparison ? comparison.overlay : null}
+                readOnly={showingRevision}
               />
             </div>
-          </div>
-        </div>
-
-        <div className="mt-6 bg-white rounded-2xl shadow-xl p-6">
-          <h2 className="text-xl font-semibold text-gray-900 mb-4">Saved Designs</h2>
-          {designs.length === 0 ? (
-            <p className="text-gray-500 text-center">No designs saved yet.</p>
-          ) : (
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-              {designs.map((design) => (
+            <p id="canvas-keyboard-help" className="mt-2 text-xs text-gray-500">
+              Keyboard: focus the canvas or the list view, then press ] or [ to step through the furniture, arrow keys
+              to nudge (Shift for 0.5 m, Alt for 1 cm), R or Shift+R to turn 15°, Delete to remove and Esc to deselect.
+            </p>
+            <div role="status" aria-live="polite" className="sr-only">
+              {announcement}
+            </div>
+            {showHistory && openDesign && (
+              <div id="revision-history">
+                <h3 className="mt-4 text-lg font-semibold text-gray-900">History of {openDesign.name}</h3>
+                <RevisionHistory
+                  revisions={revisions}
+                  compare={compare}
+                  onCompareChange={setCompare}
+                  diff={comparison ? comparison.diff : null}
+                  onRestore={restoreRevision}
+                  onBranch={branchRevision}
+                />
+              </div>
+            )}
+            {showListView && (
+              <div id="scene-list-view">
+                <SceneListView
+                  room={room}
+                  furniture={furniture}
+                  selectedIds={selectedIds}
+                  onSelect={selectFurniture}
+                  layoutIssues={layoutIssues}
+                  blockedOpenings={openingIssues.items}
+                  openingLabels={openingLabels}
+                  onKeyDown={handleEditorKeyDown}
+                  describedBy="canvas-keyboard-help"
+                />
+              </div>
+            )}
+            {contextMenu && (
+              <div className="fixed inset-0 z-40" onPointerDown={() => setContextMenu(null)}>
                 <div
-                  key={design.id}
-                  className="p-4 bg-gray-50 rounded-lg hover:shadow-lg transition-all duration-300"
+                  role="menu"
+                  className="fixed w-48 bg-white rounded-lg shadow-xl overflow-hidden animate-fadeIn"
+                  style={{
+                    left: Math.min(contextMenu.x, window.innerWidth - 200),
+                    top: Math.min(contextMenu.y, window.innerHeight - 180),
+                  }}
+                  onPointerDown={(e) => e.stopPropagation()}
                 >
-                  <div className="w-full h-40 bg-gray-100 rounded-lg mb-3 flex items-center justify-center">
-                    <p className="text-gray-500">{design.room.name} Preview</p>
-                  </div>
-                  <p className="font-medium text-gray-900 truncate">{design.name}</p>
-                  <div className="flex gap-2 mt-3">
+                  {(contextMenu.ids.length > 0
+                    ? [
+                        { action: 'rotate', label: 'Rotate 90°' },
+                        { action: 'duplicate', label: 'Duplicate' },
+                        { action: 'remove', label: contextMenu.ids.length > 1 ? `Remove ${contextMenu.ids.length} items` : 'Remove' },
+                      ]
+                    : [
+                        { action: 'selectAll', label: 'Select all' },
+                        { action: 'clearSelection', label: 'Clear selection' },
+                      ]
+                  ).map(({ action, label }) => (
                     <button
-                      onClick={() => editDesign(design)}
-                      className="flex-1 p-2 bg-amber-500 text-white rounded-lg hover:bg-amber-600 transition-all duration-300 flex items-center justify-center gap-2"
+                      key={action}
+                      role="menuitem"
+                      onClick={() => handleContextAction(action)}
+                      className={`w-full px-4 py-3 text-left hover:bg-gray-100 transition-colors ${
+                        action === 'remove' ? 'text-rose-600' : 'text-gray-900'
+                      }`}
                     >
-                      <Edit2 className="w-5 h-5" />
-                      Edit
+                      {label}
                     </button>
-                    <button
-                      onClick={() => setShowDeleteConfirm(design.id)}
-                      className="flex-1 p-2 bg-rose-500 text-white rounded-lg hover:bg-rose-600 transition-all duration-300 flex items-center justify-center gap-2"
-                    >
-                      <Trash2 className="w-5 h-5" />
-                      Delete
-                    </button>
-                  </div>
+                  ))}
                 </div>
-              ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="mt-6 bg-white rounded-2xl shadow-xl p-6">
+          <div className="flex flex-wrap items-baseline justify-between gap-2 mb-4">
+            <h2 className="text-xl font-semibold text-gray-900">Saved Designs</h2>
+            <div className="flex flex-wrap items-center gap-3">
+              <p className="text-sm text-gray-500" role="status">
+                {describeSyncStatus(syncStatus)}
+              </p>
+              <label className="p-2 px-3 border border-gray-300 rounded-lg text-sm text-gray-700 hover:border-indigo-500 hover:text-indigo-600 transition-all duration-300 flex items-center gap-2 cursor-pointer">
+                <Upload className="w-4 h-4" />
+                Import design
+                <input type="file" accept=".json,application/json" onChange={handleDesignImport} className="sr-only" />
+              </label>
+            </div>
+          </div>
+          {designImportErrors.length > 0 && (
+            <div className="mb-4 p-3 bg-rose-50 rounded-lg text-sm text-rose-700" role="alert">
+              <div className="flex items-start justify-between gap-2">
+                <p className="font-medium">{designImportErrors[0]}</p>
+                <button
+                  onClick={() => setDesignImportErrors([])}
+                  className="text-rose-500 hover:text-rose-700"
+                  aria-label="Dismiss import errors"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+              <ul className="list-disc pl-5 mt-1 max-h-40 overflow-y-auto">
+                {designImportErrors.slice(1).map((error, index) => (
+                  <li key={index}>{error}</li>
+                ))}
+              </ul>
             </div>
           )}
+          {syncStatus.error && <p className="text-sm text-rose-600 mb-4">{syncStatus.error}</p>}
+          {syncStatus.loading ? (
+            <p className="text-gray-500 text-center">Loading your designs...</p>
+          ) : designs.length === 0 ? (
+            <p className="text-gray-500 text-center">No designs saved yet.</p>
+          ) : (
+            <>
+              <LibraryFilters
+                query={libraryQuery}
+                facets={libraryFacets}
+                onChange={updateLibraryQuery}
+                onClear={() => updateLibraryQuery({ ...DEFAULT_LIBRARY_QUERY, sort: libraryQuery.sort })}
+              />
+              <p className="text-sm text-gray-500 mb-3" role="status">
+                {libraryPage.total === 0
+                  ? 'No designs match these filters.'
+                  : `Showing ${libraryPage.first}–${libraryPage.last} of ${libraryPage.total} ${libraryPage.total === 1 ? 'design' : 'designs'}`}
+              </p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                {libraryPage.items.map((design) => (
+                  <div
+                    key={design.id}
+                    className={`p-4 bg-gray-50 rounded-lg hover:shadow-lg transition-all duration-300 ${
+                      design.id === openDesignId ? 'ring-2 ring-indigo-500' : ''
+                    }`}
+                  >
+                    {design.thumbnail ? (
+                      <img
+                        src={design.thumbnail}
+                        alt={`${design.name} preview`}
+                        className="w-full h-40 object-cover bg-gray-100 rounded-lg mb-3"
+                      />
+                    ) : (
+                      <div className="w-full h-40 bg-gray-100 rounded-lg mb-3 flex items-center justify-center">
+                        <p className="text-gray-500">{design.room.name} Preview</p>
+                      </div>
+                    )}
+                    {renaming && renaming.id === design.id ? (
+                      <input
+                        type="text"
+                        value={renaming.name}
+                        onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                        onBlur={renameDesign}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') renameDesign();
+                          if (e.key === 'Escape') setRenaming(null);
+                        }}
+                        aria-label={`New name for ${design.name}`}
+                        autoFocus
+                        className="w-full p-1 border border-gray-300 rounded text-gray-900 font-medium focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                      />
+                    ) : (
+                      <p className="font-medium text-gray-900 truncate">
+                        {design.name}
+                        {design.id === openDesignId && <span className="text-sm font-normal text-indigo-600"> (open)</span>}
+                      </p>
+                    )}
+                    <div className="flex gap-3 mt-1 text-sm">
+                      <button
+                        onClick={() => setRenaming({ id: design.id, name: design.name })}
+                        className="flex items-center gap-1 text-gray-600 hover:text-indigo-600"
+                        aria-label={`Rename ${design.name}`}
+                      >
+                        <Pencil className="w-4 h-4" />
+                        Rename
+                      </button>
+                      <button
+                        onClick={() => duplicateDesign(design)}
+                        className="flex items-center gap-1 text-gray-600 hover:text-indigo-600"
+                        aria-label={`Duplicate ${design.name}`}
+                      >
+                        <Copy className="w-4 h-4" />
+                        Duplicate
+                      </button>
+                      <button
+                        onClick={() =>
+                          setEditingDetails({
+                            id: design.id,
+                            name: design.name,
+                            client: design.client || '',
+                            tags: (design.tags || []).join(', '),
+                            notes: design.notes || '',
+                          })
+                        }
+                        className="flex items-center gap-1 text-gray-600 hover:text-indigo-600"
+                        aria-label={`Edit client, tags and notes of ${design.name}`}
+                      >
+                        <Tag className="w-4 h-4" />
+                        Details
+                      </button>
+                    </div>
+                    {design.client && <p className="mt-2 text-sm text-gray-700 truncate">Client: {design.client}</p>}
+                    <p className="mt-1 text-sm text-gray-500">
+                      {design.room.name} · ${getDesignTotal(design).toFixed(2)} · Saved{' '}
+                      {new Date(design.updatedAt || design.id).toLocaleDateString()}
+                    </p>
+                    {design.tags && design.tags.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-2">
+                        {design.tags.map((tag) => (
+                          <button
+                            key={tag}
+                            onClick={() => updateLibraryQuery({ tag })}
+                            title={`Show designs tagged "${tag}"`}
+                            className="px-2 py-0.5 bg-indigo-100 text-indigo-700 rounded-full text-xs hover:bg-indigo-200"
+                          >
+                            {tag}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {design.notes && <p className="mt-2 text-sm text-gray-600 line-clamp-2">{design.notes}</p>}
+                    <div className="flex gap-2 mt-3">
+                      <button
+                        onClick={() => confirmDiscard(() => editDesign(design))}
+                        className="flex-1 p-2 bg-amber-500 text-white rounded-lg hover:bg-amber-600 transition-all duration-300 flex items-center justify-center gap-2"
+                      >
+                        <Edit2 className="w-5 h-5" />
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => exportDesignFile(design)}
+                        className="flex-1 p-2 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600 transition-all duration-300 flex items-center justify-center gap-2"
+                        aria-label={`Export ${design.name}`}
+                      >
+                        <Download className="w-5 h-5" />
+                        Export
+                      </button>
+                      <button
+                        onClick={() => setShowDeleteConfirm(design.id)}
+                        className="flex-1 p-2 bg-rose-500 text-white rounded-lg hover:bg-rose-600 transition-all duration-300 flex items-center justify-center gap-2"
+                      >
+                        <Trash2 className="w-5 h-5" />
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+              {libraryPage.pageCount > 1 && (
+                <nav className="flex items-center justify-center gap-3 mt-4 text-sm" aria-label="Saved designs pages">
+                  <button
+                    onClick={() => updateLibraryQuery({ page: libraryPage.page - 1 })}
+                    disabled={libraryPage.page === 1}
+                    className="px-3 py-1 bg-gray-100 text-gray-900 rounded-lg hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed"
+                  >
+                    Previous
+                  </button>
+                  <span className="text-gray-700">
+                    Page {libraryPage.page} of {libraryPage.pageCount}
+                  </span>
+                  <button
+                    onClick={() => updateLibraryQuery({ page: libraryPage.page + 1 })}
+                    disabled={libraryPage.page === libraryPage.pageCount}
+                    className="px-3 py-1 bg-gray-100 text-gray-900 rounded-lg hover:bg-gray-200 disabled:opacity-40 disabled:cursor-not-allowed"
+                  >
+                    Next
+                  </button>
+                </nav>
+              )}
+            </>
+          )}
         </div>
 
         {showCart && (
@@ -553,6 +2269,7 @@ const DesignDashboard = ({ designs, setDesigns }) => {
                     />
                     <div className="flex-1">
                       <p className="font-medium text-gray-900">{item.name}</p>
+                      {item.optionName && <p className="text-sm text-gray-500">{item.optionName}</p>}
                       <p className="text-gray-600">${item.price.toFixed(2)}</p>
                       <div className="flex items-center gap-2 mt-1">
                         <button
@@ -598,6 +2315,171 @@ const DesignDashboard = ({ designs, setDesigns }) => {
           </div>
         )}
 
+        {showSnapshot && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-2xl p-6 max-w-sm w-full animate-fadeIn space-y-4">
+              <h3 className="text-xl font-semibold text-gray-900">Take Snapshot</h3>
+              <p className="text-gray-600">Renders the current {viewMode} view as a PNG image.</p>
+              <select
+                value={snapshotOptions.preset}
+                onChange={(e) => handleSnapshotPreset(e.target.value)}
+                aria-label="Snapshot size"
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+              >
+                {SNAPSHOT_PRESETS.map((preset) => (
+                  <option key={preset.id} value={preset.id}>
+                    {preset.name}
+                  </option>
+                ))}
+                <option value="custom">Custom size</option>
+              </select>
+              {snapshotOptions.preset === 'custom' && (
+                <div className="flex gap-3">
+                  <input
+                    type="number"
+                    min="16"
+                    placeholder="Width (px)"
+                    aria-label="Snapshot width in pixels"
+                    value={snapshotOptions.width}
+                    onChange={(e) => setSnapshotOptions({ ...snapshotOptions, width: parseInt(e.target.value, 10) || 0 })}
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                  />
+                  <input
+                    type="number"
+                    min="16"
+                    placeholder="Height (px)"
+                    aria-label="Snapshot height in pixels"
+                    value={snapshotOptions.height}
+                    onChange={(e) => setSnapshotOptions({ ...snapshotOptions, height: parseInt(e.target.value, 10) || 0 })}
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all"
+                  />
+                </div>
+              )}
+              <label className="flex items-center gap-2 text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={snapshotOptions.transparent}
+                  onChange={(e) => setSnapshotOptions({ ...snapshotOptions, transparent: e.target.checked })}
+                  className="accent-indigo-500"
+                />
+                Transparent background
+              </label>
+              {snapshotError && <p className="text-sm text-rose-600">{snapshotError}</p>}
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setShowSnapshot(false)}
+                  className="flex-1 p-3 bg-gray-200 text-gray-900 rounded-lg hover:bg-gray-300 transition-all duration-300"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={takeSnapshot}
+                  className="flex-1 p-3 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600 transition-all duration-300 flex items-center justify-center gap-2"
+                >
+                  <Camera className="w-5 h-5" />
+                  Download PNG
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {showFloorPlan && (
+          <FloorPlanEditor room={room} onApply={applyFloorPlan} onClose={() => setShowFloorPlan(false)} />
+        )}
+
+        {editingDetails && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                saveDesignDetails();
+              }}
+              className="bg-white rounded-2xl p-6 max-w-md w-full space-y-3 animate-fadeIn"
+            >
+              <h3 className="text-xl font-semibold text-gray-900">Details of {editingDetails.name}</h3>
+              <label className="block text-sm text-gray-700">
+                Client
+                <input
+                  type="text"
+                  value={editingDetails.client}
+                  onChange={(e) => setEditingDetails({ ...editingDetails, client: e.target.value })}
+                  autoFocus
+                  className="mt-1 w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+              </label>
+              <label className="block text-sm text-gray-700">
+                Tags (separated by commas)
+                <input
+                  type="text"
+                  value={editingDetails.tags}
+                  onChange={(e) => setEditingDetails({ ...editingDetails, tags: e.target.value })}
+                  placeholder="modern, quote sent"
+                  list="design-tags"
+                  className="mt-1 w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+                <datalist id="design-tags">
+                  {libraryFacets.tags.map((tag) => (
+                    <option key={tag} value={tag} />
+                  ))}
+                </datalist>
+              </label>
+              <label className="block text-sm text-gray-700">
+                Notes
+                <textarea
+                  value={editingDetails.notes}
+                  onChange={(e) => setEditingDetails({ ...editingDetails, notes: e.target.value })}
+                  rows={4}
+                  className="mt-1 w-full p-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                />
+              </label>
+              <div className="flex gap-3 pt-2">
+                <button
+                  type="button"
+                  onClick={() => setEditingDetails(null)}
+                  className="flex-1 p-3 bg-gray-200 text-gray-900 rounded-lg hover:bg-gray-300 transition-all duration-300"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 p-3 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600 transition-all duration-300"
+                >
+                  Save details
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        {pendingDiscard && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-2xl p-6 max-w-sm w-full animate-fadeIn">
+              <h3 className="text-xl font-semibold text-gray-900 mb-4">Unsaved Changes</h3>
+              <p className="text-gray-600 mb-6">
+                {openDesign ? `"${openDesign.name}" has` : 'This design has'} unsaved changes. Discard them?
+              </p>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setPendingDiscard(null)}
+                  className="flex-1 p-3 bg-gray-200 text-gray-900 rounded-lg hover:bg-gray-300 transition-all duration-300"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={() => {
+                    pendingDiscard.run();
+                    setPendingDiscard(null);
+                  }}
+                  className="flex-1 p-3 bg-rose-500 text-white rounded-lg hover:bg-rose-600 transition-all duration-300"
+                >
+                  Discard
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
         {showDeleteConfirm && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
             <div className="bg-white rounded-2xl p-6 max-w-sm w-full animate-fadeIn">
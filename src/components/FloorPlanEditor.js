@@ -0,0 +1,269 @@
+import React, { useRef, useState } from 'react';
+import { PenTool, RotateCcw, X } from 'lucide-react';
+import {
+  centreOutline,
+  getRoomOutline,
+  getWalls,
+  polygonArea,
+  validateOutline,
+  wallLength,
+} from '../utils/roomGeometry';
+
+// Corners snap to this step (metres) while drawing and dragging
+const CORNER_STEP = 0.25;
+
+const snap = (value) => Math.round(value / CORNER_STEP) * CORNER_STEP;
+
+function rectanglePreset(width, depth) {
+  const w = snap(width / 2);
+  const d = snap(depth / 2);
+  return [
+    { x: -w, z: -d },
+    { x: w, z: -d },
+    { x: w, z: d },
+    { x: -w, z: d },
+  ];
+}
+
+// Rectangle with the back-right quarter removed
+function lShapePreset(width, depth) {
+  const w = snap(width / 2);
+  const d = snap(depth / 2);
+  return [
+    { x: -w, z: -d },
+    { x: 0, z: -d },
+    { x: 0, z: 0 },
+    { x: w, z: 0 },
+    { x: w, z: d },
+    { x: -w, z: d },
+  ];
+}
+
+// Rectangle with the back-right corner cut at 45°
+function chamferedPreset(width, depth) {
+  const w = snap(width / 2);
+  const d = snap(depth / 2);
+  const cut = snap(Math.min(width, depth) / 4);
+  return [
+    { x: -w, z: -d },
+    { x: w - cut, z: -d },
+    { x: w, z: -d + cut },
+    { x: w, z: d },
+    { x: -w, z: d },
+  ];
+}
+
+const PRESETS = [
+  { id: 'rectangle', name: 'Rectangle', build: rectanglePreset },
+  { id: 'l-shape', name: 'L-shape', build: lShapePreset },
+  { id: 'chamfered', name: 'Chamfered', build: chamferedPreset },
+];
+
+// Top-down outline editor. Click to place corners, click the first corner to close the shape, drag
+// corners to adjust, or type a wall length: later corners move along with it and the closing wall
+// (last corner back to the first) takes up the difference.
+const FloorPlanEditor = ({ room, onApply, onClose }) => {
+  const [points, setPoints] = useState(() => getRoomOutline(room));
+  const [closed, setClosed] = useState(true);
+  const [dragIndex, setDragIndex] = useState(null);
+  const svgRef = useRef();
+  // Fixed drawing area so the view doesn't jump while corners are dragged
+  const [extent] = useState(() => Math.ceil(Math.max(room.width, room.depth, 10) / 2) + 2);
+
+  const walls = closed ? getWalls(points) : getWalls(points).slice(0, -1);
+  const errors = closed ? validateOutline(points) : [];
+
+  const toPlan = (event) => {
+    const svg = svgRef.current;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const local = point.matrixTransform(svg.getScreenCTM().inverse());
+    return { x: snap(local.x), z: snap(local.y) };
+  };
+
+  const handleCanvasClick = (e) => {
+    if (closed || dragIndex !== null) return;
+    setPoints([...points, toPlan(e)]);
+  };
+
+  const handleCornerPointerDown = (e, index) => {
+    e.stopPropagation();
+    if (!closed) {
+      if (index === 0 && points.length >= 3) setClosed(true);
+      return;
+    }
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDragIndex(index);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragIndex === null) return;
+    const next = toPlan(e);
+    setPoints(points.map((point, i) => (i === dragIndex ? next : point)));
+  };
+
+  const handleWallLength = (index, value) => {
+    const length = parseFloat(value);
+    if (isNaN(length) || length <= 0) return;
+    const { start, end } = walls[index];
+    const current = wallLength(walls[index]);
+    if (current === 0) return;
+    const dx = ((end.x - start.x) / current) * (length - current);
+    const dz = ((end.z - start.z) / current) * (length - current);
+    setPoints(points.map((point, i) => (i > index ? { x: point.x + dx, z: point.z + dz } : point)));
+  };
+
+  const applyPreset = (preset) => {
+    setPoints(preset.build(room.width, room.depth));
+    setClosed(true);
+  };
+
+  const startOver = () => {
+    setPoints([]);
+    setClosed(false);
+  };
+
+  const handleApply = () => {
+    if (!closed || errors.length > 0) return;
+    onApply(centreOutline(points));
+  };
+
+  const gridLines = [];
+  for (let n = -extent; n <= extent; n++) {
+    gridLines.push(
+      <line key={`x${n}`} x1={n} y1={-extent} x2={n} y2={extent} />,
+      <line key={`z${n}`} x1={-extent} y1={n} x2={extent} y2={n} />
+    );
+  }
+  const path = points.map(({ x, z }) => `${x},${z}`).join(' ');
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 max-w-3xl w-full animate-fadeIn space-y-4">
+        <div className="flex justify-between items-center">
+          <h3 className="text-xl font-semibold text-gray-900 flex items-center gap-2">
+            <PenTool className="w-5 h-5" />
+            Edit Floor Plan
+          </h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-900 transition-colors" aria-label="Close">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {PRESETS.map((preset) => (
+            <button
+              key={preset.id}
+              onClick={() => applyPreset(preset)}
+              className="px-3 py-2 bg-gray-200 text-gray-900 rounded-lg hover:bg-gray-300 transition-all duration-300 text-sm"
+            >
+              {preset.name}
+            </button>
+          ))}
+          <button
+            onClick={startOver}
+            className="px-3 py-2 bg-gray-200 text-gray-900 rounded-lg hover:bg-gray-300 transition-all duration-300 text-sm flex items-center gap-1"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Draw from scratch
+          </button>
+        </div>
+        <div className="flex flex-col md:flex-row gap-4">
+          <svg
+            ref={svgRef}
+            viewBox={`${-extent} ${-extent} ${extent * 2} ${extent * 2}`}
+            className={`w-full md:w-2/3 aspect-square bg-gray-50 rounded-lg border border-gray-200 touch-none ${closed ? '' : 'cursor-crosshair'}`}
+            onClick={handleCanvasClick}
+            onPointerMove={handlePointerMove}
+            onPointerUp={() => setDragIndex(null)}
+          >
+            <g stroke="#e5e7eb" strokeWidth={0.03}>{gridLines}</g>
+            {closed ? (
+              <polygon points={path} fill="#e0e7ff" stroke="#4f46e5" strokeWidth={0.08} strokeLinejoin="round" />
+            ) : (
+              <polyline points={path} fill="none" stroke="#4f46e5" strokeWidth={0.08} strokeDasharray="0.2 0.1" />
+            )}
+            {walls.map((wall, i) => (
+              <text
+                key={i}
+                x={(wall.start.x + wall.end.x) / 2}
+                y={(wall.start.z + wall.end.z) / 2}
+                fontSize={0.4}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                fill="#111827"
+                pointerEvents="none"
+              >
+                {wallLength(wall).toFixed(2)}
+              </text>
+            ))}
+            {points.map((point, i) => (
+              <circle
+                key={i}
+                cx={point.x}
+                cy={point.z}
+                r={0.22}
+                fill={!closed && i === 0 && points.length >= 3 ? '#f59e0b' : '#4f46e5'}
+                stroke="#ffffff"
+                strokeWidth={0.06}
+                className={closed ? 'cursor-move' : 'cursor-pointer'}
+                onPointerDown={(e) => handleCornerPointerDown(e, i)}
+                onClick={(e) => e.stopPropagation()}
+              />
+            ))}
+          </svg>
+          <div className="md:w-1/3 space-y-3 max-h-[420px] overflow-y-auto">
+            {!closed && (
+              <p className="text-sm text-gray-600">
+                Click to place corners ({CORNER_STEP} m grid). Click the first corner to close the room.
+              </p>
+            )}
+            {walls.map((wall, i) => {
+              const isClosingWall = closed && i === walls.length - 1;
+              return (
+                <label key={i} className="flex items-center justify-between gap-2 text-sm text-gray-700">
+                  Wall {i + 1} (m)
+                  <input
+                    type="number"
+                    step={CORNER_STEP}
+                    min={CORNER_STEP}
+                    value={Math.round(wallLength(wall) * 100) / 100}
+                    disabled={isClosingWall}
+                    title={isClosingWall ? 'The closing wall follows the other walls' : undefined}
+                    onChange={(e) => handleWallLength(i, e.target.value)}
+                    className="w-24 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all disabled:bg-gray-100"
+                  />
+                </label>
+              );
+            })}
+            {closed && errors.length === 0 && (
+              <p className="text-sm text-gray-600">Floor area: {Math.abs(polygonArea(points)).toFixed(2)} m²</p>
+            )}
+            {errors.map((error) => (
+              <p key={error} className="text-sm text-rose-600">
+                {error}
+              </p>
+            ))}
+          </div>
+        </div>
+        <div className="flex gap-3">
+          <button
+            onClick={onClose}
+            className="flex-1 p-3 bg-gray-200 text-gray-900 rounded-lg hover:bg-gray-300 transition-all duration-300"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleApply}
+            disabled={!closed || errors.length > 0}
+            className="flex-1 p-3 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600 transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Apply Floor Plan
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FloorPlanEditor;
@@ -0,0 +1,97 @@
+import React from 'react';
+import { Search } from 'lucide-react';
+import { DESIGN_SORTS, hasFilters } from '../utils/designLibrary';
+
+const FIELD_CLASS =
+  'p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+// Search, filter and sort controls for the saved designs. Every change goes to onChange as the
+// changed query fields; the dashboard keeps the query in the URL.
+const LibraryFilters = ({ query, facets, onChange, onClear }) => (
+  <div className="mb-4 space-y-3" role="search" aria-label="Saved designs">
+    <div className="flex flex-wrap gap-3">
+      <label className="relative flex-1 min-w-[12rem]">
+        <span className="sr-only">Search designs</span>
+        <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" aria-hidden="true" />
+        <input
+          type="search"
+          value={query.q}
+          onChange={(e) => onChange({ q: e.target.value })}
+          placeholder="Search names, clients, notes, tags and furniture"
+          className={`${FIELD_CLASS} w-full pl-9`}
+        />
+      </label>
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        Sort
+        <select value={query.sort} onChange={(e) => onChange({ sort: e.target.value })} className={FIELD_CLASS}>
+          {DESIGN_SORTS.map((sort) => (
+            <option key={sort.id} value={sort.id}>
+              {sort.label}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+    <div className="flex flex-wrap items-end gap-3 text-sm text-gray-700">
+      <label className="flex flex-col gap-1">
+        Room type
+        <select value={query.room} onChange={(e) => onChange({ room: e.target.value })} className={FIELD_CLASS}>
+          <option value="">All rooms</option>
+          {facets.rooms.map((room) => (
+            <option key={room.id} value={room.id}>
+              {room.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex flex-col gap-1">
+        Tag
+        <select value={query.tag} onChange={(e) => onChange({ tag: e.target.value })} className={FIELD_CLASS}>
+          <option value="">All tags</option>
+          {facets.tags.map((tag) => (
+            <option key={tag} value={tag}>
+              {tag}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex flex-col gap-1">
+        Saved from
+        <input type="date" value={query.from} onChange={(e) => onChange({ from: e.target.value })} className={FIELD_CLASS} />
+      </label>
+      <label className="flex flex-col gap-1">
+        Saved until
+        <input type="date" value={query.to} onChange={(e) => onChange({ to: e.target.value })} className={FIELD_CLASS} />
+      </label>
+      <label className="flex flex-col gap-1">
+        Min. total ($)
+        <input
+          type="number"
+          min="0"
+          step="1"
+          value={query.minPrice}
+          onChange={(e) => onChange({ minPrice: e.target.value })}
+          className={`${FIELD_CLASS} w-28`}
+        />
+      </label>
+      <label className="flex flex-col gap-1">
+        Max. total ($)
+        <input
+          type="number"
+          min="0"
+          step="1"
+          value={query.maxPrice}
+          onChange={(e) => onChange({ maxPrice: e.target.value })}
+          className={`${FIELD_CLASS} w-28`}
+        />
+      </label>
+      {hasFilters(query) && (
+        <button onClick={onClear} className="p-2 text-indigo-600 hover:text-indigo-800">
+          Clear filters
+        </button>
+      )}
+    </div>
+  </div>
+);
+
+export default LibraryFilters;
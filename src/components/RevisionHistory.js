@@ -0,0 +1,128 @@
+import React from 'react';
+import { DIFF_COLORS, isEmptyDiff } from '../utils/designDiff';
+import { formatMetres } from '../utils/furnitureMeasure';
+
+// Stands for the unsaved state on the canvas in the comparison pickers
+export const CURRENT = 'current';
+
+const itemName = (item) => item.name || item.type;
+const formatSavedAt = (savedAt) => new Date(savedAt).toLocaleString();
+
+function DiffGroup({ kind, title, lines }) {
+  if (lines.length === 0) return null;
+  return (
+    <div>
+      <p className="flex items-center gap-2 font-medium text-gray-900">
+        <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: DIFF_COLORS[kind] }} aria-hidden="true" />
+        {title} ({lines.length})
+      </p>
+      <ul className="pl-5 list-disc text-gray-700">
+        {lines.map((line, i) => (
+          <li key={i}>{line}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Saved revisions of the open design, newest first, with a comparison between any two of them (or
+// a revision and the canvas). The canvas highlights the same changes in the same colours.
+const RevisionHistory = ({ revisions, compare, onCompareChange, diff, onRestore, onBranch }) => {
+  if (revisions.length === 0) {
+    return <p className="mt-4 text-sm text-gray-500">No revisions yet. Every save of this design keeps one.</p>;
+  }
+
+  const options = [
+    { id: CURRENT, label: 'Current canvas' },
+    ...revisions.map((revision, i) => ({
+      id: revision.id,
+      label: `${formatSavedAt(revision.savedAt)}${i === 0 ? ' (latest save)' : ''}`,
+    })),
+  ];
+  const picker = (key, label) => (
+    <label className="flex items-center gap-2">
+      {label}
+      <select
+        value={compare[key] || ''}
+        onChange={(e) => onCompareChange({ ...compare, [key]: e.target.value })}
+        className="p-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+      >
+        {options.map((option) => (
+          <option key={option.id} value={option.id}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="mt-4 grid gap-4 md:grid-cols-2 text-sm">
+      <div className="space-y-3">
+        <div className="flex flex-wrap items-center gap-3">
+          {picker('from', 'Compare')}
+          {picker('to', 'with')}
+        </div>
+        {compare.to !== CURRENT && (
+          <p className="text-gray-500">The canvas shows the revision picked after "with" and can't be edited until you compare with the current canvas again.</p>
+        )}
+        {diff && isEmptyDiff(diff) && <p className="text-gray-500">No differences.</p>}
+        {diff && (
+          <div className="space-y-2">
+            <DiffGroup kind="added" title="Added" lines={diff.added.map(itemName)} />
+            <DiffGroup kind="removed" title="Removed" lines={diff.removed.map(itemName)} />
+            <DiffGroup
+              kind="moved"
+              title="Moved"
+              lines={diff.moved.map(({ to, distance }) => `${itemName(to)} by ${formatMetres(distance)}`)}
+            />
+            <DiffGroup
+              kind="changed"
+              title="Changed"
+              lines={diff.changed.map(({ item, fields }) => `${itemName(item)}: ${fields.join(', ')}`)}
+            />
+            {diff.room.length > 0 && (
+              <div>
+                <p className="font-medium text-gray-900">Room</p>
+                <ul className="pl-5 list-disc text-gray-700">
+                  {diff.room.map((line, i) => (
+                    <li key={i}>{line}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+      <ol className="space-y-2 max-h-72 overflow-y-auto" aria-label="Revisions">
+        {revisions.map((revision) => (
+          <li key={revision.id} className="p-3 bg-gray-50 rounded-lg flex flex-wrap items-center gap-2">
+            <div className="flex-1 min-w-0">
+              <p className="font-medium text-gray-900">{formatSavedAt(revision.savedAt)}</p>
+              <p className="text-gray-500 truncate">
+                {revision.name} · {revision.room.name} · {revision.furniture.length}{' '}
+                {revision.furniture.length === 1 ? 'item' : 'items'}
+              </p>
+            </div>
+            <button
+              onClick={() => onRestore(revision)}
+              title="Put this revision on the canvas (Undo brings your work back)"
+              className="px-3 py-1 bg-amber-500 text-white rounded-lg hover:bg-amber-600"
+            >
+              Restore
+            </button>
+            <button
+              onClick={() => onBranch(revision)}
+              title="Save this revision as a new design and open it"
+              className="px-3 py-1 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600"
+            >
+              Branch
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default RevisionHistory;
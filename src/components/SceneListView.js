@@ -0,0 +1,80 @@
+import React from 'react';
+import { getFootprint } from '../utils/furnitureBounds';
+import { formatMetres } from '../utils/furnitureMeasure';
+import { getItemLabel } from '../utils/furnitureKeyboard';
+
+const ISSUE_LABELS = { outside: 'Outside the room', overlap: 'Overlapping another item' };
+
+// Text version of the canvas for keyboard and screen-reader users: one row per piece with where it
+// stands and anything wrong with it. Selecting a row selects the piece on the canvas and the other
+// way round, and the keys that edit the selection on the canvas work here too.
+const SceneListView = ({
+  room,
+  furniture,
+  selectedIds,
+  onSelect,
+  layoutIssues,
+  blockedOpenings,
+  openingLabels,
+  onKeyDown,
+  describedBy,
+}) => (
+  <div className="mt-4 overflow-x-auto" onKeyDown={onKeyDown}>
+    <table className="w-full text-sm text-left text-gray-700" aria-describedby={describedBy}>
+      <caption className="text-left font-medium text-gray-900 mb-2">
+        Furniture in {room.name} ({furniture.length} {furniture.length === 1 ? 'item' : 'items'})
+      </caption>
+      <thead className="text-gray-900 border-b border-gray-200">
+        <tr>
+          <th scope="col" className="p-2">Item</th>
+          <th scope="col" className="p-2">Position</th>
+          <th scope="col" className="p-2">Rotation</th>
+          <th scope="col" className="p-2">Footprint</th>
+          <th scope="col" className="p-2">Status</th>
+        </tr>
+      </thead>
+      <tbody>
+        {furniture.length === 0 && (
+          <tr>
+            <td colSpan={5} className="p-2 text-gray-500">No furniture added.</td>
+          </tr>
+        )}
+        {furniture.map((item, index) => {
+          const selected = selectedIds.includes(item.id);
+          const { width, depth } = getFootprint(item);
+          const issues = [
+            ...(layoutIssues[item.id] ? [ISSUE_LABELS[layoutIssues[item.id]]] : []),
+            ...(blockedOpenings[item.id]
+              ? [`In front of ${blockedOpenings[item.id].map((id) => openingLabels[id]).join(', ')}`]
+              : []),
+          ];
+          return (
+            <tr key={item.id} className={`border-b border-gray-100 ${selected ? 'bg-indigo-50' : ''}`}>
+              <th scope="row" className="p-2 font-normal">
+                <button
+                  onClick={(e) => onSelect(item.id, e.shiftKey || e.ctrlKey || e.metaKey)}
+                  aria-pressed={selected}
+                  className="capitalize font-medium text-gray-900 hover:text-indigo-600 text-left focus:outline-none focus:ring-2 focus:ring-indigo-500 rounded"
+                >
+                  {getItemLabel(item, index)}
+                </button>
+              </th>
+              <td className="p-2">
+                X {formatMetres(item.x || 0)}, Z {formatMetres(item.z || 0)}
+              </td>
+              <td className="p-2">{item.rotation || 0}°</td>
+              <td className="p-2">
+                {formatMetres(width)} × {formatMetres(depth)}
+              </td>
+              <td className={`p-2 ${issues.length > 0 ? 'text-rose-600' : ''}`}>
+                {issues.length > 0 ? issues.join('; ') : 'OK'}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default SceneListView;
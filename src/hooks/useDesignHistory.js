@@ -0,0 +1,82 @@
+import { useCallback, useReducer } from 'react';
+
+// Oldest steps are dropped once the undo stack grows past this
+const MAX_HISTORY = 100;
+
+// Edits sharing a coalesce key that arrive closer together than this merge into one undo step
+const DEFAULT_COALESCE_WINDOW = 1000;
+
+function historyReducer(state, action) {
+  switch (action.type) {
+    case 'commit': {
+      const next = typeof action.updater === 'function' ? action.updater(state.present) : action.updater;
+      if (next === state.present) return state;
+
+      const { coalesceKey, coalesceWindow = DEFAULT_COALESCE_WINDOW } = action.options;
+      const coalesce =
+        coalesceKey !== undefined &&
+        coalesceKey === state.lastKey &&
+        action.timestamp - state.lastTimestamp <= coalesceWindow;
+
+      return {
+        past: coalesce ? state.past : [...state.past, state.present].slice(-MAX_HISTORY),
+        present: next,
+        future: [],
+        lastKey: coalesceKey,
+        lastTimestamp: action.timestamp,
+      };
+    }
+    case 'undo': {
+      if (state.past.length === 0) return state;
+      return {
+        past: state.past.slice(0, -1),
+        present: state.past[state.past.length - 1],
+        future: [state.present, ...state.future],
+        lastKey: undefined,
+        lastTimestamp: 0,
+      };
+    }
+    case 'redo': {
+      if (state.future.length === 0) return state;
+      return {
+        past: [...state.past, state.present],
+        present: state.future[0],
+        future: state.future.slice(1),
+        lastKey: undefined,
+        lastTimestamp: 0,
+      };
+    }
+    default:
+      return state;
+  }
+}
+
+// Undo/redo stack around a design snapshot ({ room, furniture }). Every commit is one undo step
+// unless it passes the same coalesceKey as the previous commit within the coalesce window, which
+// is how continuous gestures such as a canvas drag or a colour picker collapse into a single step.
+const useDesignHistory = (initialPresent) => {
+  const [state, dispatch] = useReducer(historyReducer, undefined, () => ({
+    past: [],
+    present: initialPresent,
+    future: [],
+    lastKey: undefined,
+    lastTimestamp: 0,
+  }));
+
+  const commit = useCallback((updater, options = {}) => {
+    dispatch({ type: 'commit', updater, options, timestamp: Date.now() });
+  }, []);
+  const undo = useCallback(() => dispatch({ type: 'undo' }), []);
+  const redo = useCallback(() => dispatch({ type: 'redo' }), []);
+
+  return {
+    present: state.present,
+    commit,
+    undo,
+    redo,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+  };
+};
+
+export default useDesignHistory;
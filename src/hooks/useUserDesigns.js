@@ -0,0 +1,106 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  deleteDesign,
+  migrateLocalDesigns,
+  saveDesign,
+  saveRevision,
+  subscribeToDesigns,
+  subscribeToRevisions,
+} from '../utils/designStore';
+
+const INITIAL_STATUS = { loading: true, fromCache: false, pendingWrites: false, error: '' };
+
+// The signed-in user's saved designs, kept in sync with Firestore. `setDesigns` takes the new list
+// (or an updater) like a state setter and writes only the designs that were added, replaced or
+// removed; the list itself updates from the subscription, which sees local writes at once, online
+// or not. `syncStatus` says whether the list is still loading, came from the offline cache, has
+// writes waiting for the server, or hit an error. `recordRevision` keeps a revision of a design
+// that was just saved and `watchRevisions(designId, onChange)` follows a design's revisions,
+// returning the unsubscribe function. `reportError` shows other save problems in the same status.
+const useUserDesigns = (db, user) => {
+  const uid = user ? user.uid : null;
+  const [designs, setDesignsState] = useState([]);
+  const [syncStatus, setSyncStatus] = useState(INITIAL_STATUS);
+  const designsRef = useRef(designs);
+
+  const reportError = useCallback((message) => {
+    setSyncStatus((status) => ({ ...status, loading: false, error: message }));
+  }, []);
+
+  useEffect(() => {
+    designsRef.current = [];
+    setDesignsState([]);
+    setSyncStatus(INITIAL_STATUS);
+    if (!uid) return undefined;
+
+    migrateLocalDesigns(db, uid)
+      .then(({ skipped, unreadable }) => {
+        const reasons = [];
+        if (skipped > 0) reasons.push(`${skipped} ${skipped === 1 ? 'is' : 'are'} too large to move to your account`);
+        if (unreadable > 0) reasons.push(`${unreadable} could not be read`);
+        if (reasons.length > 0) {
+          reportError(`Some designs saved on this browser before sign-in were left there: ${reasons.join('; ')}.`);
+        }
+      })
+      .catch((error) => reportError(`Could not move designs saved on this browser: ${error.message}`));
+
+    return subscribeToDesigns(
+      db,
+      uid,
+      (next, metadata) => {
+        designsRef.current = next;
+        setDesignsState(next);
+        setSyncStatus((status) => ({ ...status, loading: false, ...metadata }));
+      },
+      (error) => reportError(`Could not load your designs: ${error.message}`)
+    );
+  }, [db, uid, reportError]);
+
+  const setDesigns = useCallback(
+    (update) => {
+      if (!uid) return;
+      const previous = designsRef.current;
+      const next = typeof update === 'function' ? update(previous) : update;
+      const kept = new Set(next.map((design) => design.id));
+      setSyncStatus((status) => ({ ...status, error: '' }));
+
+      next
+        .filter((design) => !previous.includes(design))
+        .forEach((design) => {
+          saveDesign(db, uid, design).catch((error) => reportError(`Could not save "${design.name}": ${error.message}`));
+        });
+      previous
+        .filter((design) => !kept.has(design.id))
+        .forEach((design) => {
+          deleteDesign(db, uid, design.id).catch((error) =>
+            reportError(`Could not delete "${design.name}": ${error.message}`)
+          );
+        });
+    },
+    [db, uid, reportError]
+  );
+
+  const recordRevision = useCallback(
+    (design) => {
+      if (!uid) return;
+      saveRevision(db, uid, design).catch((error) =>
+        reportError(`Could not keep a revision of "${design.name}": ${error.message}`)
+      );
+    },
+    [db, uid, reportError]
+  );
+
+  const watchRevisions = useCallback(
+    (designId, onChange) => {
+      if (!uid) return () => {};
+      return subscribeToRevisions(db, uid, designId, onChange, (error) =>
+        reportError(`Could not load the history: ${error.message}`)
+      );
+    },
+    [db, uid, reportError]
+  );
+
+  return { designs, setDesigns, syncStatus, recordRevision, watchRevisions, reportError };
+};
+
+export default useUserDesigns;
@@ -0,0 +1,48 @@
+// Camera viewpoints for the 3D view. A view is `{ position, target }` (scene space, metres): where
+// the camera stands and the point the orbit controls turn around. Designs keep their named views
+// as `cameraViews: [{ id, name, position, target }]` and the last one used as `camera`.
+
+export const DEFAULT_VIEW = { position: { x: 10, y: 10, z: 10 }, target: { x: 0, y: 0, z: 0 } };
+
+export const PRESET_VIEWS = [
+  { id: 'front', name: 'Front' },
+  { id: 'back', name: 'Back' },
+  { id: 'left', name: 'Left' },
+  { id: 'right', name: 'Right' },
+  { id: 'top', name: 'Top' },
+  { id: 'isometric', name: 'Isometric' },
+];
+
+const round = (n) => Math.round(n * 1000) / 1000;
+const roundPoint = ({ x, y, z }) => ({ x: round(x), y: round(y), z: round(z) });
+
+// Preset views frame the whole room from outside; "front" looks from the bottom edge of the floor
+// plan (+Z) towards the top, the way the 2D view is drawn.
+export function getPresetView(id, room) {
+  const distance = Math.max(room.width, room.depth) * 1.2 + room.height;
+  const eye = room.height * 0.4;
+  const diagonal = distance / Math.sqrt(2);
+  const positions = {
+    front: { x: 0, y: eye, z: distance },
+    back: { x: 0, y: eye, z: -distance },
+    left: { x: -distance, y: eye, z: 0 },
+    right: { x: distance, y: eye, z: 0 },
+    // Straight down would leave the orbit controls without an "up"; a hair of tilt keeps it stable
+    top: { x: 0, y: distance * 1.2, z: 0.01 },
+    isometric: { x: diagonal, y: diagonal, z: diagonal },
+  };
+  return { position: roundPoint(positions[id]), target: { x: 0, y: 0, z: 0 } };
+}
+
+export function getCameraPose(camera, target) {
+  return { position: roundPoint(camera.position), target: roundPoint(target) };
+}
+
+export function createCameraView(name, pose) {
+  return { id: Date.now(), name: name.trim(), position: pose.position, target: pose.target };
+}
+
+// Ease-in-out curve for camera transitions, t in [0, 1]
+export function easeInOut(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
@@ -0,0 +1,100 @@
+import { getFinish } from './surfaceFinishes';
+import { formatMetres } from './furnitureMeasure';
+
+// Differences between two states of a design ({ room, furniture }), for the revision history.
+// Furniture is matched by id, so a piece that was removed and added again counts as both.
+
+// Canvas and legend colours for each kind of change
+export const DIFF_COLORS = {
+  added: '#16a34a',
+  removed: '#e11d48',
+  moved: '#d97706',
+  changed: '#2563eb',
+};
+
+// Smaller moves are rounding, not edits
+const MOVE_TOLERANCE = 0.005;
+
+const ITEM_FIELDS = [
+  { label: 'colour', changed: (a, b) => a.color !== b.color || a.shade !== b.shade },
+  { label: 'finish', changed: (a, b) => a.option !== b.option },
+  { label: 'rotation', changed: (a, b) => (a.rotation || 0) !== (b.rotation || 0) },
+  { label: 'scale', changed: (a, b) => (a.scale || 1) !== (b.scale || 1) },
+  { label: 'light', changed: (a, b) => JSON.stringify(a.light || {}) !== JSON.stringify(b.light || {}) },
+];
+
+const FINISH_LABELS = { wall: 'Wall finish', floor: 'Floor finish', ceiling: 'Ceiling finish' };
+
+function diffRoom(from, to) {
+  const changes = [];
+  if (from.name !== to.name) changes.push(`Room ${from.name} → ${to.name}`);
+  ['width', 'depth', 'height'].forEach((key) => {
+    if (from[key] !== to[key]) {
+      changes.push(`${key[0].toUpperCase()}${key.slice(1)} ${formatMetres(from[key])} → ${formatMetres(to[key])}`);
+    }
+  });
+  if (from.color !== to.color) changes.push(`Wall colour ${from.color} → ${to.color}`);
+  Object.entries(FINISH_LABELS).forEach(([surface, label]) => {
+    const before = getFinish(surface, from[`${surface}Texture`]);
+    const after = getFinish(surface, to[`${surface}Texture`]);
+    if (before.file !== after.file) changes.push(`${label} ${before.name} → ${after.name}`);
+  });
+  if (JSON.stringify(from.outline || null) !== JSON.stringify(to.outline || null)) changes.push('Floor plan changed');
+  if (JSON.stringify(from.openings || []) !== JSON.stringify(to.openings || [])) {
+    changes.push(`Doors and windows changed (${(from.openings || []).length} → ${(to.openings || []).length})`);
+  }
+  if (JSON.stringify(from.lighting || {}) !== JSON.stringify(to.lighting || {})) changes.push('Time of day or compass bearing changed');
+  return changes;
+}
+
+// { added: [item], removed: [item], moved: [{ from, to, distance }], changed: [{ item, fields }],
+//   room: [description] }, where items come from `to` except for removed ones
+export function diffDesigns(from, to) {
+  const before = new Map(from.furniture.map((item) => [item.id, item]));
+  const after = new Map(to.furniture.map((item) => [item.id, item]));
+  const diff = { added: [], removed: [], moved: [], changed: [], room: diffRoom(from.room, to.room) };
+
+  to.furniture.forEach((item) => {
+    const previous = before.get(item.id);
+    if (!previous) {
+      diff.added.push(item);
+      return;
+    }
+    const distance = Math.hypot((item.x || 0) - (previous.x || 0), (item.z || 0) - (previous.z || 0));
+    if (distance > MOVE_TOLERANCE) diff.moved.push({ from: previous, to: item, distance });
+    const fields = ITEM_FIELDS.filter((field) => field.changed(previous, item)).map((field) => field.label);
+    if (fields.length > 0) diff.changed.push({ item, fields });
+  });
+  from.furniture.forEach((item) => {
+    if (!after.has(item.id)) diff.removed.push(item);
+  });
+  return diff;
+}
+
+export function isEmptyDiff(diff) {
+  return ['added', 'removed', 'moved', 'changed', 'room'].every((key) => diff[key].length === 0);
+}
+
+// What the canvas draws for a diff shown on the `to` state: a coloured footprint per changed item
+// (moves win over other changes), footprints where removed and moved pieces used to stand, and a
+// line along each move.
+export function getDiffOverlay(diff) {
+  const highlights = {};
+  diff.changed.forEach(({ item }) => {
+    highlights[item.id] = 'changed';
+  });
+  diff.moved.forEach(({ to }) => {
+    highlights[to.id] = 'moved';
+  });
+  diff.added.forEach((item) => {
+    highlights[item.id] = 'added';
+  });
+  return {
+    highlights,
+    ghosts: [
+      ...diff.removed.map((item) => ({ item, kind: 'removed' })),
+      ...diff.moved.map(({ from }) => ({ item: from, kind: 'moved' })),
+    ],
+    moves: diff.moved.map(({ from, to }) => ({ id: to.id, from: { x: from.x || 0, z: from.z || 0 }, to: { x: to.x || 0, z: to.z || 0 } })),
+  };
+}
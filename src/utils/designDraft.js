@@ -0,0 +1,30 @@
+import { DESIGN_VERSION, migrateDesign } from './designFormat';
+
+// While the design on the canvas has unsaved changes it is written to localStorage every
+// AUTOSAVE_INTERVAL (and when the page is hidden), one draft per user, so a reload or a crash costs
+// at most a few seconds of work. A draft is
+//   { version, savedAt, designId, design: { room, furniture, cameraViews, camera } }
+// where designId is the saved design it was opened from, or null for a new one.
+
+export const AUTOSAVE_INTERVAL = 5000;
+
+const draftKey = (uid) => `design-draft:${uid}`;
+
+// Throws when the draft doesn't fit (localStorage holds a few MB; imported models are large)
+export function saveDraft(uid, designId, design) {
+  localStorage.setItem(draftKey(uid), JSON.stringify({ version: DESIGN_VERSION, savedAt: Date.now(), designId, design }));
+}
+
+export function loadDraft(uid) {
+  try {
+    const draft = JSON.parse(localStorage.getItem(draftKey(uid)));
+    if (!draft || !draft.design || !draft.design.room || !Array.isArray(draft.design.furniture)) return null;
+    return { ...draft, design: migrateDesign(draft.design, draft.version || 0) };
+  } catch {
+    return null;
+  }
+}
+
+export function clearDraft(uid) {
+  localStorage.removeItem(draftKey(uid));
+}
@@ -0,0 +1,304 @@
+import { getFurnitureType } from './furnitureRegistry';
+import { TEMPERATURE_RANGE } from './lighting';
+import { OPENING_TYPES } from './wallOpenings';
+
+// Design files, as written by "Export design" and read by "Import design":
+//
+//   {
+//     "format": "furniture-design",
+//     "version": 2,
+//     "exportedAt": "2026-01-31T09:30:00.000Z",
+//     "design": {
+//       "id": 1769851800000,                 creation time (ms), also the design's key
+//       "name": "Design 1 (Living Room)",
+//       "updatedAt": 1769852400000,          last save (ms)
+//       "client": "Jane Smith",              may be empty
+//       "tags": ["modern", "quote sent"],
+//       "notes": "Prefers oak finishes",     may be empty
+//       "room": { ... },
+//       "furniture": [{ ... }],
+//       "cameraViews": [],                   saved viewpoints (see cameraViews.js)
+//       "camera": { position, target },      optional; the view last used
+//       "thumbnail": "data:image/jpeg;..."   optional
+//     }
+//   }
+//
+// room: { id, name, width, height, depth (metres), color, wallTexture, floorTexture, ceilingTexture
+//   (surfaceFinishes.js), outline (roomGeometry.js), openings (wallOpenings.js), lighting (lighting.js) }
+// furniture item: { id, type, productId, option, name, price, x, z (metres from the room centre),
+//   rotation (degrees), scale, color, shade (0-100), model (imported models, see modelImport.js),
+//   light (fixtures, see lighting.js) }
+//
+// Stored designs carry the same version, so they go through the same migrations when they are read.
+// Version 0 is the unversioned design object saved before this format existed. When the data model
+// grows, bump DESIGN_VERSION, add the step that upgrades the previous version to MIGRATIONS and
+// extend validateDesign.
+
+export const DESIGN_FORMAT = 'furniture-design';
+export const DESIGN_VERSION = 2;
+
+export const MAX_TAG_LENGTH = 40;
+
+// Firestore caps a stored design's document at 1 MiB; leave room for the other fields
+export const MAX_DESIGN_BYTES = 1000 * 1000;
+
+export function formatKilobytes(bytes) {
+  return `${Math.round(bytes / 1000)} KB`;
+}
+
+// MIGRATIONS[n] upgrades a version n design to version n + 1
+const MIGRATIONS = {
+  0: (design) => ({
+    ...design,
+    furniture: (design.furniture || []).map((item) => ({ rotation: 0, scale: 1, ...item })),
+    cameraViews: design.cameraViews || [],
+  }),
+  // Version 2 adds the library details: client, tags, notes and the time of the last save
+  1: (design) => ({ client: '', tags: [], notes: '', updatedAt: design.id, ...design }),
+};
+
+// Upgrade a design saved at `version` to DESIGN_VERSION. Throws for versions that don't exist,
+// including ones newer than this app, rather than guessing at their fields.
+export function migrateDesign(design, version) {
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`design version ${version} is not a known version`);
+  }
+  if (version > DESIGN_VERSION) {
+    throw new Error(`design version ${version} is newer than this app reads (up to ${DESIGN_VERSION}); update the app first`);
+  }
+  let migrated = design;
+  for (let from = version; from < DESIGN_VERSION; from += 1) {
+    migrated = MIGRATIONS[from](migrated);
+  }
+  return migrated;
+}
+
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+const HINGES = ['left', 'right'];
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPositiveNumber = (value) => isNumber(value) && value > 0;
+const isInRange = (value, min, max) => isNumber(value) && value >= min && value <= max;
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+const isPoint = (value) => isObject(value) && ['x', 'y', 'z'].every((key) => isNumber(value[key]));
+const isVector3 = (value) => Array.isArray(value) && value.length === 3 && value.every(isNumber);
+
+function validateRoom(room, at) {
+  if (!isObject(room)) {
+    at('room', 'must be an object');
+    return;
+  }
+  if (!isText(room.name)) at('room.name', 'is required');
+  ['width', 'height', 'depth'].forEach((key) => {
+    if (!isPositiveNumber(room[key])) at(`room.${key}`, 'must be a positive number of metres');
+  });
+  if (!HEX_COLOR.test(room.color)) at('room.color', 'must be a #rrggbb colour');
+  ['wallTexture', 'floorTexture', 'ceilingTexture'].forEach((key) => {
+    if (room[key] !== undefined && !isText(room[key])) at(`room.${key}`, 'must be a file name in public/textures');
+  });
+
+  if (room.outline !== undefined) {
+    if (!Array.isArray(room.outline) || room.outline.length < 3) {
+      at('room.outline', 'must list at least three corners');
+    } else {
+      room.outline.forEach((corner, i) => {
+        if (!isObject(corner) || !isNumber(corner.x) || !isNumber(corner.z)) at(`room.outline[${i}]`, 'must be { x, z } in metres');
+      });
+    }
+  }
+
+  if (room.openings !== undefined) {
+    if (!Array.isArray(room.openings)) {
+      at('room.openings', 'must be a list');
+    } else {
+      room.openings.forEach((opening, i) => {
+        const path = `room.openings[${i}]`;
+        if (!isObject(opening)) {
+          at(path, 'must be an object');
+          return;
+        }
+        if (!OPENING_TYPES[opening.type]) at(`${path}.type`, `must be one of ${Object.keys(OPENING_TYPES).join(', ')}`);
+        if (!Number.isInteger(opening.wall) || opening.wall < 0) at(`${path}.wall`, 'must be a wall index (0 or more)');
+        if (!isNumber(opening.offset) || opening.offset < 0) at(`${path}.offset`, 'must be a distance in metres along the wall');
+        if (!isPositiveNumber(opening.width)) at(`${path}.width`, 'must be a positive number of metres');
+        if (!isPositiveNumber(opening.height)) at(`${path}.height`, 'must be a positive number of metres');
+        if (!isNumber(opening.sill) || opening.sill < 0) at(`${path}.sill`, 'must be a height in metres (0 or more)');
+        if (opening.type === 'door' && !HINGES.includes(opening.hinge)) at(`${path}.hinge`, `must be one of ${HINGES.join(', ')}`);
+      });
+    }
+  }
+
+  if (room.lighting !== undefined) {
+    if (!isObject(room.lighting)) {
+      at('room.lighting', 'must be an object');
+    } else {
+      if (room.lighting.timeOfDay !== undefined && !isInRange(room.lighting.timeOfDay, 0, 24)) {
+        at('room.lighting.timeOfDay', 'must be an hour from 0 to 24');
+      }
+      if (room.lighting.north !== undefined && !isInRange(room.lighting.north, 0, 360)) {
+        at('room.lighting.north', 'must be a bearing from 0 to 360 degrees');
+      }
+    }
+  }
+}
+
+function validateModel(model, path, at) {
+  if (!isObject(model)) {
+    at(path, 'must be an object');
+    return;
+  }
+  if (!isText(model.name)) at(`${path}.name`, 'is required');
+  if (typeof model.dataUrl !== 'string' || !model.dataUrl.startsWith('data:')) at(`${path}.dataUrl`, 'must be a data: URL');
+  if (!isPositiveNumber(model.scale)) at(`${path}.scale`, 'must be a positive number');
+  if (!isVector3(model.offset)) at(`${path}.offset`, 'must be [x, y, z]');
+  if (!isObject(model.footprint) || !isPositiveNumber(model.footprint.width) || !isPositiveNumber(model.footprint.depth)) {
+    at(`${path}.footprint`, 'must be { width, depth } in metres');
+  }
+  if (!isPositiveNumber(model.height)) at(`${path}.height`, 'must be a positive number of metres');
+}
+
+function validateItem(item, path, at) {
+  if (!isObject(item)) {
+    at(path, 'must be an object');
+    return;
+  }
+  if (!isNumber(item.id)) at(`${path}.id`, 'must be a number');
+  const definition = getFurnitureType(item.type);
+  if (item.type === 'custom') {
+    validateModel(item.model, `${path}.model`, at);
+  } else if (!definition) {
+    at(`${path}.type`, `"${item.type}" is not a known furniture type`);
+  } else if (item.model !== undefined) {
+    at(`${path}.model`, 'is only allowed on imported ("custom") items');
+  }
+
+  if (item.productId !== undefined && !isText(item.productId)) at(`${path}.productId`, 'must be a product id');
+  if (definition && item.option !== undefined) {
+    const product = definition.products.find((candidate) => candidate.id === item.productId);
+    if (!product || !(product.options || []).some((option) => option.id === item.option)) {
+      at(`${path}.option`, `"${item.option}" is not a finish of product "${item.productId}"`);
+    }
+  }
+  if (item.name !== undefined && typeof item.name !== 'string') at(`${path}.name`, 'must be text');
+  if (item.price !== undefined && !(isNumber(item.price) && item.price >= 0)) at(`${path}.price`, 'must be a non-negative number');
+  ['x', 'z'].forEach((key) => {
+    if (!isNumber(item[key])) at(`${path}.${key}`, 'must be a number of metres');
+  });
+  if (!isNumber(item.rotation)) at(`${path}.rotation`, 'must be a number of degrees');
+  if (!isPositiveNumber(item.scale)) at(`${path}.scale`, 'must be a positive number');
+  if (item.color !== null && item.color !== undefined && !HEX_COLOR.test(item.color)) at(`${path}.color`, 'must be a #rrggbb colour');
+  if (item.shade !== undefined && !isInRange(item.shade, 0, 100)) at(`${path}.shade`, 'must be a number from 0 to 100');
+
+  if (item.light !== undefined) {
+    if (!definition || !definition.light) {
+      at(`${path}.light`, 'is only allowed on light fixtures');
+    } else if (!isObject(item.light)) {
+      at(`${path}.light`, 'must be an object');
+    } else {
+      const { on, brightness, temperature } = item.light;
+      if (on !== undefined && typeof on !== 'boolean') at(`${path}.light.on`, 'must be true or false');
+      if (brightness !== undefined && !isInRange(brightness, 0, 2)) at(`${path}.light.brightness`, 'must be a number from 0 to 2');
+      if (temperature !== undefined && !isInRange(temperature, TEMPERATURE_RANGE.min, TEMPERATURE_RANGE.max)) {
+        at(`${path}.light.temperature`, `must be a colour temperature from ${TEMPERATURE_RANGE.min} to ${TEMPERATURE_RANGE.max} K`);
+      }
+    }
+  }
+}
+
+function validateView(view, path, at, named) {
+  if (!isObject(view)) {
+    at(path, 'must be an object');
+    return;
+  }
+  if (named && !isText(view.name)) at(`${path}.name`, 'is required');
+  if (!isPoint(view.position)) at(`${path}.position`, 'must be { x, y, z }');
+  if (!isPoint(view.target)) at(`${path}.target`, 'must be { x, y, z }');
+}
+
+// Check a current-version design against the format above. Returns a list of readable errors,
+// empty when valid.
+export function validateDesign(design) {
+  if (!isObject(design)) return ['design must be an object'];
+  const errors = [];
+  const at = (path, message) => errors.push(`design.${path} ${message}`);
+
+  if (!isNumber(design.id)) at('id', 'must be a number');
+  if (!isText(design.name)) at('name', 'is required');
+  if (!isNumber(design.updatedAt)) at('updatedAt', 'must be a time in milliseconds');
+  if (typeof design.client !== 'string') at('client', 'must be text (it may be empty)');
+  if (typeof design.notes !== 'string') at('notes', 'must be text (it may be empty)');
+  if (!Array.isArray(design.tags)) {
+    at('tags', 'must be a list (it may be empty)');
+  } else {
+    design.tags.forEach((tag, i) => {
+      if (!isText(tag) || tag.length > MAX_TAG_LENGTH) at(`tags[${i}]`, `must be text of up to ${MAX_TAG_LENGTH} characters`);
+    });
+  }
+  validateRoom(design.room, at);
+
+  if (!Array.isArray(design.furniture)) {
+    at('furniture', 'must be a list (it may be empty)');
+  } else {
+    const seen = new Set();
+    design.furniture.forEach((item, i) => {
+      validateItem(item, `furniture[${i}]`, at);
+      if (isObject(item) && seen.has(item.id)) at(`furniture[${i}].id`, `${item.id} is used twice`);
+      if (isObject(item)) seen.add(item.id);
+    });
+  }
+
+  if (!Array.isArray(design.cameraViews)) {
+    at('cameraViews', 'must be a list (it may be empty)');
+  } else {
+    design.cameraViews.forEach((view, i) => validateView(view, `cameraViews[${i}]`, at, true));
+  }
+  if (design.camera !== undefined && design.camera !== null) validateView(design.camera, 'camera', at, false);
+  if (design.thumbnail !== undefined && design.thumbnail !== null && !(typeof design.thumbnail === 'string' && design.thumbnail.startsWith('data:image/'))) {
+    at('thumbnail', 'must be a data:image/ URL');
+  }
+  return errors;
+}
+
+export function serializeDesign(design) {
+  const file = { format: DESIGN_FORMAT, version: DESIGN_VERSION, exportedAt: new Date().toISOString(), design };
+  return JSON.stringify(file, null, 2);
+}
+
+// Read a design file (or a bare, unversioned design object). Returns { design, errors }: the
+// upgraded design when it is valid, otherwise null and every problem found.
+export function parseDesignFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    return { design: null, errors: [`The file is not valid JSON (${error.message}).`] };
+  }
+  if (!isObject(file)) return { design: null, errors: ['The file does not contain a design.'] };
+
+  let design;
+  let version;
+  if (file.format === undefined) {
+    if (!isObject(file.room) || !Array.isArray(file.furniture)) {
+      return { design: null, errors: ['The file does not contain a design.'] };
+    }
+    design = file;
+    version = 0;
+  } else {
+    const errors = [];
+    if (file.format !== DESIGN_FORMAT) errors.push(`format must be "${DESIGN_FORMAT}"`);
+    if (!Number.isInteger(file.version) || file.version < 1) {
+      errors.push('version must be a whole number (1 or more)');
+    } else if (file.version > DESIGN_VERSION) {
+      errors.push(`version ${file.version} is newer than this app reads (up to ${DESIGN_VERSION}); update the app first`);
+    }
+    if (!isObject(file.design)) errors.push('design must be an object');
+    if (errors.length > 0) return { design: null, errors };
+    design = file.design;
+    version = file.version;
+  }
+
+  const migrated = migrateDesign(design, version);
+  const errors = validateDesign(migrated);
+  return errors.length > 0 ? { design: null, errors } : { design: migrated, errors: [] };
+}
@@ -0,0 +1,135 @@
+import { DESIGN_FORMAT, DESIGN_VERSION, migrateDesign, parseDesignFile, serializeDesign, validateDesign } from './designFormat';
+
+const room = { id: 'living', name: 'Living Room', width: 5, height: 3, depth: 4, color: '#ffffff' };
+
+// A design as saved before the format was versioned
+const VERSION_0 = {
+  id: 1700000000000,
+  name: 'Design 1 (Living Room)',
+  room,
+  furniture: [
+    { id: 1, type: 'chair', x: 0, z: 0 },
+    { id: 2, type: 'sofa', x: 1, z: 1, rotation: 90, scale: 1.5 },
+  ],
+};
+
+const CURRENT = {
+  id: 1700000000000,
+  name: 'Design 1 (Living Room)',
+  updatedAt: 1700000600000,
+  client: 'Jane Smith',
+  tags: ['modern'],
+  notes: 'Prefers oak',
+  room,
+  furniture: [{ id: 1, type: 'chair', x: 0, z: 0, rotation: 0, scale: 1 }],
+  cameraViews: [],
+};
+
+const file = (fields) => JSON.stringify({ format: DESIGN_FORMAT, version: DESIGN_VERSION, design: CURRENT, ...fields });
+
+describe('migrateDesign', () => {
+  test('version 0 to 1 adds rotation, scale and camera views without overwriting them', () => {
+    const migrated = migrateDesign(VERSION_0, 0);
+    expect(migrated.furniture).toEqual([
+      { id: 1, type: 'chair', x: 0, z: 0, rotation: 0, scale: 1 },
+      { id: 2, type: 'sofa', x: 1, z: 1, rotation: 90, scale: 1.5 },
+    ]);
+    expect(migrated.cameraViews).toEqual([]);
+  });
+
+  test('version 1 to 2 adds empty library details, last saved at creation', () => {
+    const version1 = { ...VERSION_0, cameraViews: [{ name: 'Door', position: { x: 0, y: 1, z: 2 }, target: { x: 0, y: 0, z: 0 } }] };
+    const migrated = migrateDesign(version1, 1);
+    expect(migrated).toEqual({ ...version1, client: '', tags: [], notes: '', updatedAt: VERSION_0.id });
+    // Only the later step runs, so items are left as they were
+    expect(migrated.furniture[0]).toBe(version1.furniture[0]);
+  });
+
+  test('runs every step from version 0 to a valid current design', () => {
+    const migrated = migrateDesign(VERSION_0, 0);
+    expect(migrated).toMatchObject({ client: '', tags: [], notes: '', updatedAt: VERSION_0.id });
+    expect(validateDesign(migrated)).toEqual([]);
+  });
+
+  test('leaves a current design as it is', () => {
+    expect(migrateDesign(CURRENT, DESIGN_VERSION)).toBe(CURRENT);
+  });
+
+  test('rejects newer and unknown versions', () => {
+    expect(() => migrateDesign(CURRENT, DESIGN_VERSION + 1)).toThrow(/newer than this app reads/);
+    [-1, 1.5, '1', null].forEach((version) => {
+      expect(() => migrateDesign(CURRENT, version)).toThrow(/is not a known version/);
+    });
+  });
+});
+
+describe('parseDesignFile', () => {
+  test('reads back an exported design', () => {
+    expect(parseDesignFile(serializeDesign(CURRENT))).toEqual({ design: CURRENT, errors: [] });
+  });
+
+  test('upgrades a bare unversioned design and a version 1 file', () => {
+    const bare = parseDesignFile(JSON.stringify(VERSION_0));
+    expect(bare.errors).toEqual([]);
+    expect(bare.design.furniture[0]).toMatchObject({ rotation: 0, scale: 1 });
+    expect(bare.design.tags).toEqual([]);
+
+    const version1 = parseDesignFile(file({ version: 1, design: migrateDesign(VERSION_0, 0) }));
+    expect(version1.errors).toEqual([]);
+    expect(version1.design.updatedAt).toBe(VERSION_0.id);
+  });
+
+  test('rejects text that is not JSON or not a design', () => {
+    expect(parseDesignFile('{"design": ').errors[0]).toMatch(/^The file is not valid JSON/);
+    expect(parseDesignFile('[]').errors).toEqual(['The file does not contain a design.']);
+    expect(parseDesignFile('{"name": "Shopping list"}').errors).toEqual(['The file does not contain a design.']);
+    ['{"room": {}, "furniture": {}}', '{"room": {}, "furniture": "x"}', '{"room": null, "furniture": []}'].forEach((text) => {
+      expect(parseDesignFile(text).errors).toEqual(['The file does not contain a design.']);
+    });
+  });
+
+  test('rejects a wrong format and newer or malformed versions', () => {
+    expect(parseDesignFile(file({ format: 'floor-plan' })).errors).toEqual([`format must be "${DESIGN_FORMAT}"`]);
+    expect(parseDesignFile(file({ version: DESIGN_VERSION + 1 })).errors).toEqual([
+      `version ${DESIGN_VERSION + 1} is newer than this app reads (up to ${DESIGN_VERSION}); update the app first`,
+    ]);
+    ['2', 0, 1.5].forEach((version) => {
+      expect(parseDesignFile(file({ version })).errors).toEqual(['version must be a whole number (1 or more)']);
+    });
+    expect(parseDesignFile(file({ design: [] })).errors).toEqual(['design must be an object']);
+  });
+
+  test('lists every problem in a malformed design', () => {
+    const design = {
+      ...CURRENT,
+      tags: ['modern', 'x'.repeat(41)],
+      room: { ...room, width: -2, color: 'white' },
+      furniture: [
+        { id: 1, type: 'chair', x: 0, z: 0, rotation: 0, scale: 1 },
+        { id: 1, type: 'throne', x: 'left', z: 0, rotation: 0, scale: 0 },
+      ],
+    };
+    const { design: parsed, errors } = parseDesignFile(file({ design }));
+    expect(parsed).toBeNull();
+    expect(errors).toEqual([
+      'design.tags[1] must be text of up to 40 characters',
+      'design.room.width must be a positive number of metres',
+      'design.room.color must be a #rrggbb colour',
+      'design.furniture[1].type "throne" is not a known furniture type',
+      'design.furniture[1].x must be a number of metres',
+      'design.furniture[1].scale must be a positive number',
+      'design.furniture[1].id 1 is used twice',
+    ]);
+  });
+
+  test('reports missing fields after upgrading', () => {
+    const { errors } = parseDesignFile(file({ design: { id: 1, room, furniture: [], cameraViews: [] } }));
+    expect(errors).toEqual([
+      'design.name is required',
+      'design.updatedAt must be a time in milliseconds',
+      'design.client must be text (it may be empty)',
+      'design.notes must be text (it may be empty)',
+      'design.tags must be a list (it may be empty)',
+    ]);
+  });
+});
@@ -0,0 +1,166 @@
+import { MAX_TAG_LENGTH } from './designFormat';
+
+// Searching, filtering, sorting and paging the saved designs. The library state lives in the URL
+// query (?q=oak&room=bedroom&sort=price-desc&page=2) so a filtered view can be bookmarked or shared;
+// parameters left at their defaults are omitted.
+
+export const PAGE_SIZE = 12;
+
+export const DESIGN_SORTS = [
+  { id: 'updated-desc', label: 'Last saved, newest first' },
+  { id: 'updated-asc', label: 'Last saved, oldest first' },
+  { id: 'name-asc', label: 'Name, A to Z' },
+  { id: 'name-desc', label: 'Name, Z to A' },
+  { id: 'client-asc', label: 'Client, A to Z' },
+  { id: 'price-desc', label: 'Total price, highest first' },
+  { id: 'price-asc', label: 'Total price, lowest first' },
+];
+
+// `from` and `to` are dates (yyyy-mm-dd) bounding the last save; prices are in dollars
+export const DEFAULT_LIBRARY_QUERY = {
+  q: '',
+  room: '',
+  tag: '',
+  from: '',
+  to: '',
+  minPrice: '',
+  maxPrice: '',
+  sort: DESIGN_SORTS[0].id,
+  page: 1,
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const isPrice = (value) => value !== '' && Number.isFinite(Number(value)) && Number(value) >= 0;
+
+// Library state from the URL query, dropping anything malformed
+export function parseLibraryQuery(searchParams) {
+  const get = (key) => searchParams.get(key) || '';
+  const page = parseInt(get('page'), 10);
+  return {
+    q: get('q'),
+    room: get('room'),
+    tag: get('tag'),
+    from: DATE.test(get('from')) ? get('from') : '',
+    to: DATE.test(get('to')) ? get('to') : '',
+    minPrice: isPrice(get('minPrice')) ? get('minPrice') : '',
+    maxPrice: isPrice(get('maxPrice')) ? get('maxPrice') : '',
+    sort: DESIGN_SORTS.some((sort) => sort.id === get('sort')) ? get('sort') : DEFAULT_LIBRARY_QUERY.sort,
+    page: page > 0 ? page : 1,
+  };
+}
+
+export function toSearchParams(query) {
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== DEFAULT_LIBRARY_QUERY[key]) params.set(key, String(value));
+  });
+  return params;
+}
+
+export function hasFilters(query) {
+  return ['q', 'room', 'tag', 'from', 'to', 'minPrice', 'maxPrice'].some((key) => query[key] !== DEFAULT_LIBRARY_QUERY[key]);
+}
+
+// What the pieces in the design cost, at the prices they were added (or re-finished) at
+export function getDesignTotal(design) {
+  return design.furniture.reduce((total, item) => total + (item.price || 0), 0);
+}
+
+// "modern, Quote sent, modern" -> ["modern", "Quote sent"]: trimmed, without repeats (ignoring
+// case) and cut to the longest tag the design format allows
+export function parseTags(text) {
+  const tags = [];
+  text.split(',').forEach((part) => {
+    const tag = part.trim().slice(0, MAX_TAG_LENGTH);
+    if (tag && !tags.some((other) => other.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+  });
+  return tags;
+}
+
+function getSearchText(design) {
+  return [
+    design.name,
+    design.client,
+    design.notes,
+    ...(design.tags || []),
+    design.room.name,
+    ...design.furniture.map((item) => item.name || item.type),
+  ]
+    .join(' ')
+    .toLowerCase();
+}
+
+// Local midnight at the start of a yyyy-mm-dd date, plus `days`
+function dayStart(date, days = 0) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day + days).getTime();
+}
+
+// Every word of the search has to appear somewhere in the design: its name, client, notes, tags,
+// room or furniture
+export function filterDesigns(designs, query) {
+  const words = query.q.toLowerCase().split(/\s+/).filter(Boolean);
+  const tag = query.tag.toLowerCase();
+  return designs.filter((design) => {
+    const total = getDesignTotal(design);
+    const updatedAt = design.updatedAt || design.id;
+    if (words.length > 0) {
+      const text = getSearchText(design);
+      if (!words.every((word) => text.includes(word))) return false;
+    }
+    if (query.room && design.room.id !== query.room) return false;
+    if (tag && !(design.tags || []).some((other) => other.toLowerCase() === tag)) return false;
+    if (query.from && updatedAt < dayStart(query.from)) return false;
+    if (query.to && updatedAt >= dayStart(query.to, 1)) return false;
+    if (query.minPrice !== '' && total < Number(query.minPrice)) return false;
+    if (query.maxPrice !== '' && total > Number(query.maxPrice)) return false;
+    return true;
+  });
+}
+
+const compareText = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+
+const SORT_KEYS = {
+  updated: (a, b) => (a.updatedAt || a.id) - (b.updatedAt || b.id),
+  name: (a, b) => compareText(a.name, b.name),
+  // Designs without a client go last
+  client: (a, b) => (!a.client - !b.client) || compareText(a.client || '', b.client || ''),
+  price: (a, b) => getDesignTotal(a) - getDesignTotal(b),
+};
+
+export function sortDesigns(designs, sort) {
+  const [key, direction] = sort.split('-');
+  const compare = SORT_KEYS[key];
+  return [...designs].sort((a, b) => (direction === 'desc' ? compare(b, a) : compare(a, b)));
+}
+
+// The designs on `page` (1-based, clamped to the pages there are) plus paging details
+export function paginate(designs, page, pageSize = PAGE_SIZE) {
+  const pageCount = Math.max(1, Math.ceil(designs.length / pageSize));
+  const current = Math.min(Math.max(page, 1), pageCount);
+  const start = (current - 1) * pageSize;
+  return {
+    items: designs.slice(start, start + pageSize),
+    page: current,
+    pageCount,
+    first: designs.length === 0 ? 0 : start + 1,
+    last: Math.min(start + pageSize, designs.length),
+    total: designs.length,
+  };
+}
+
+// Room types and tags used across the designs, for the filter pickers
+export function getLibraryFacets(designs) {
+  const rooms = new Map();
+  const tags = new Map();
+  designs.forEach((design) => {
+    if (design.room.id && !rooms.has(design.room.id)) rooms.set(design.room.id, design.room.name);
+    (design.tags || []).forEach((tag) => {
+      if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+    });
+  });
+  return {
+    rooms: [...rooms.entries()].map(([id, name]) => ({ id, name })).sort((a, b) => compareText(a.name, b.name)),
+    tags: [...tags.values()].sort(compareText),
+  };
+}
@@ -0,0 +1,144 @@
+import {
+  DEFAULT_LIBRARY_QUERY,
+  PAGE_SIZE,
+  filterDesigns,
+  getLibraryFacets,
+  hasFilters,
+  paginate,
+  parseLibraryQuery,
+  parseTags,
+  sortDesigns,
+  toSearchParams,
+} from './designLibrary';
+
+const at = (year, month, day, hour = 12) => new Date(year, month - 1, day, hour).getTime();
+const living = { id: 'living', name: 'Living Room' };
+const bedroom = { id: 'bedroom', name: 'Bedroom' };
+
+const design = (id, fields) => ({
+  id,
+  name: `Design ${id}`,
+  updatedAt: id,
+  client: '',
+  tags: [],
+  notes: '',
+  room: living,
+  furniture: [],
+  ...fields,
+});
+
+const DESIGNS = [
+  design(1, {
+    name: 'Smith lounge',
+    client: 'Jane Smith',
+    tags: ['Modern'],
+    updatedAt: at(2026, 3, 1, 0),
+    furniture: [{ type: 'sofa', name: 'Oak Sofa', price: 500 }],
+  }),
+  design(2, { name: 'beta', updatedAt: at(2026, 3, 2, 23), furniture: [{ type: 'chair', price: 100 }, { type: 'lamp', price: 50 }] }),
+  design(3, { name: 'Alpha', client: 'Adams', room: bedroom, tags: ['modern', 'quote sent'], updatedAt: at(2026, 3, 3, 0) }),
+];
+
+const ids = (designs) => designs.map((d) => d.id);
+const query = (fields) => ({ ...DEFAULT_LIBRARY_QUERY, ...fields });
+
+describe('parseLibraryQuery and toSearchParams', () => {
+  test('round-trip a query, leaving defaults out of the URL', () => {
+    const library = query({ q: 'oak sofa', room: 'bedroom', from: '2026-03-01', maxPrice: '250', sort: 'price-desc', page: 3 });
+    const params = toSearchParams(library);
+    expect(params.toString()).toBe('q=oak+sofa&room=bedroom&from=2026-03-01&maxPrice=250&sort=price-desc&page=3');
+    expect(parseLibraryQuery(params)).toEqual(library);
+    expect(toSearchParams(DEFAULT_LIBRARY_QUERY).toString()).toBe('');
+  });
+
+  test('drop malformed parameters', () => {
+    const params = new URLSearchParams('from=March&to=2026-3-1&minPrice=-5&maxPrice=cheap&sort=random&page=0');
+    expect(parseLibraryQuery(params)).toEqual(DEFAULT_LIBRARY_QUERY);
+    expect(parseLibraryQuery(new URLSearchParams('page=two')).page).toBe(1);
+    expect(parseLibraryQuery(new URLSearchParams('minPrice=0')).minPrice).toBe('0');
+  });
+
+  test('hasFilters ignores the sort and page', () => {
+    expect(hasFilters(query({ sort: 'name-asc', page: 2 }))).toBe(false);
+    expect(hasFilters(query({ minPrice: '0' }))).toBe(true);
+  });
+});
+
+describe('parseTags', () => {
+  test('trims, drops repeats ignoring case and cuts long tags', () => {
+    expect(parseTags(' modern, Quote sent,, MODERN ,')).toEqual(['modern', 'Quote sent']);
+    expect(parseTags('x'.repeat(50))).toEqual(['x'.repeat(40)]);
+  });
+});
+
+describe('filterDesigns', () => {
+  test('needs every search word somewhere in the design', () => {
+    expect(ids(filterDesigns(DESIGNS, query({ q: 'oak smith' })))).toEqual([1]);
+    expect(ids(filterDesigns(DESIGNS, query({ q: 'LAMP' })))).toEqual([2]);
+    expect(ids(filterDesigns(DESIGNS, query({ q: 'quote bedroom' })))).toEqual([3]);
+    expect(ids(filterDesigns(DESIGNS, query({ q: 'oak bedroom' })))).toEqual([]);
+  });
+
+  test('matches room types and tags, ignoring the case of tags', () => {
+    expect(ids(filterDesigns(DESIGNS, query({ room: 'living' })))).toEqual([1, 2]);
+    expect(ids(filterDesigns(DESIGNS, query({ tag: 'MODERN' })))).toEqual([1, 3]);
+  });
+
+  test('includes the whole of both days of the date range and nothing after', () => {
+    expect(ids(filterDesigns(DESIGNS, query({ from: '2026-03-01', to: '2026-03-02' })))).toEqual([1, 2]);
+    expect(ids(filterDesigns(DESIGNS, query({ from: '2026-03-02' })))).toEqual([2, 3]);
+    expect(ids(filterDesigns(DESIGNS, query({ to: '2026-03-01' })))).toEqual([1]);
+  });
+
+  test('includes designs whose total is exactly on a price bound', () => {
+    expect(ids(filterDesigns(DESIGNS, query({ minPrice: '150' })))).toEqual([1, 2]);
+    expect(ids(filterDesigns(DESIGNS, query({ minPrice: '150', maxPrice: '150' })))).toEqual([2]);
+    expect(ids(filterDesigns(DESIGNS, query({ maxPrice: '0' })))).toEqual([3]);
+  });
+});
+
+describe('sortDesigns', () => {
+  test('sorts by name ignoring case, either way', () => {
+    expect(ids(sortDesigns(DESIGNS, 'name-asc'))).toEqual([3, 2, 1]);
+    expect(ids(sortDesigns(DESIGNS, 'name-desc'))).toEqual([1, 2, 3]);
+  });
+
+  test('puts designs without a client last', () => {
+    expect(ids(sortDesigns(DESIGNS, 'client-asc'))).toEqual([3, 1, 2]);
+  });
+
+  test('sorts by total and by last save', () => {
+    expect(ids(sortDesigns(DESIGNS, 'price-desc'))).toEqual([1, 2, 3]);
+    expect(ids(sortDesigns(DESIGNS, 'updated-desc'))).toEqual([3, 2, 1]);
+  });
+
+  test('leaves the list it was given alone', () => {
+    const list = [...DESIGNS];
+    sortDesigns(list, 'name-asc');
+    expect(list).toEqual(DESIGNS);
+  });
+});
+
+describe('paginate', () => {
+  const many = Array.from({ length: PAGE_SIZE * 2 + 3 }, (_, i) => design(i + 1));
+
+  test('describes the page it returns', () => {
+    const page = paginate(many, 2);
+    expect(page).toMatchObject({ page: 2, pageCount: 3, first: PAGE_SIZE + 1, last: PAGE_SIZE * 2, total: many.length });
+    expect(page.items[0].id).toBe(PAGE_SIZE + 1);
+  });
+
+  test('clamps a page past the end to the last one', () => {
+    const page = paginate(many, 99);
+    expect(page).toMatchObject({ page: 3, first: PAGE_SIZE * 2 + 1, last: many.length });
+    expect(page.items).toHaveLength(3);
+  });
+
+  test('has one empty page when nothing matches', () => {
+    expect(paginate([], 4)).toEqual({ items: [], page: 1, pageCount: 1, first: 0, last: 0, total: 0 });
+  });
+});
+
+test('getLibraryFacets lists each room and tag once, sorted', () => {
+  expect(getLibraryFacets(DESIGNS)).toEqual({ rooms: [bedroom, living], tags: ['Modern', 'quote sent'] });
+});
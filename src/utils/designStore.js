@@ -0,0 +1,251 @@
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDocs,
+  initializeFirestore,
+  onSnapshot,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  serverTimestamp,
+  setDoc,
+  writeBatch,
+} from 'firebase/firestore';
+import { DESIGN_VERSION, formatKilobytes, MAX_DESIGN_BYTES, migrateDesign } from './designFormat';
+
+// Saved designs live in Firestore at users/{uid}/designs/{designId}, one document per design, so
+// each signed-in user has their own list on any machine (firestore.rules keeps them to it). Every
+// save also keeps a revision of the design in the design's `revisions` subcollection.
+//
+// A document holds the design as JSON text next to its format version (see designFormat.js) and the
+// fields worth querying on. Firestore rejects undefined values and arrays inside arrays; the text
+// sidesteps both and reads back exactly what was saved. Older versions are upgraded on reading.
+
+const LEGACY_STORAGE_KEY = 'designs';
+const LEGACY_CLAIM_KEY = 'designs-migrating-to';
+const BATCH_LIMIT = 500;
+
+// Writes land in an IndexedDB cache first and reach the server whenever there is a connection, so
+// designs can be saved and deleted offline and sync on reconnect. Open tabs share the one cache.
+export function initializeDesignStore(app) {
+  return initializeFirestore(app, {
+    localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+  });
+}
+
+const designsCollection = (db, uid) => collection(db, 'users', uid, 'designs');
+const designDocument = (db, uid, id) => doc(db, 'users', uid, 'designs', String(id));
+const revisionsCollection = (db, uid, designId) => collection(db, 'users', uid, 'designs', String(designId), 'revisions');
+
+function getSize(data) {
+  return new TextEncoder().encode(data).length;
+}
+
+// Why `data` is too large for one document, or null when it fits
+function describeOversize(data, name) {
+  const size = getSize(data);
+  if (size <= MAX_DESIGN_BYTES) return null;
+  return `"${name}" is too large to save (${formatKilobytes(size)}, at most ${formatKilobytes(MAX_DESIGN_BYTES)}). Imported 3D models take up the most room.`;
+}
+
+// The message to show when the design is too large to save, or null when it fits. Saving checks
+// this too, but only once the write is under way.
+export function checkDesignSize(design) {
+  return describeOversize(JSON.stringify(design), design.name);
+}
+
+function encode(value, name) {
+  const data = JSON.stringify(value);
+  const oversize = describeOversize(data, name);
+  if (oversize) throw new Error(oversize);
+  return data;
+}
+
+function toDocument(design) {
+  const data = encode(design, design.name);
+  return {
+    version: DESIGN_VERSION,
+    name: design.name,
+    client: design.client || '',
+    tags: design.tags || [],
+    createdAt: design.id,
+    updatedAt: serverTimestamp(),
+    data,
+  };
+}
+
+// A design (or revision) saved at `version`, upgraded to the current version. Throws when it was
+// written by a newer version of the app or is not a design at all.
+function upgrade(value, version) {
+  const design = migrateDesign(value, version);
+  if (!design || !design.room || !Array.isArray(design.furniture)) throw new Error('it does not hold a design');
+  return design;
+}
+
+// Throws as upgrade does, and when the text is corrupt
+function fromDocument(entry) {
+  return upgrade(JSON.parse(entry.get('data')), entry.get('version') || 0);
+}
+
+// "2 saved designs could not be read and are not shown: ..." for the documents fromDocument rejected
+function describeUnreadable(failures, noun) {
+  const plural = failures.length !== 1;
+  return `${failures.length} ${noun}${plural ? 's' : ''} could not be read and ${plural ? 'are' : 'is'} not shown: ${failures.join('; ')}`;
+}
+
+// Calls onChange(designs, { fromCache, pendingWrites }) with the user's designs, oldest first,
+// whenever they or their sync state change. Designs whose text hasn't changed keep the same object
+// from one call to the next. Documents that can't be read are left out of the list (and so are
+// never overwritten or deleted) and reported to onError, once per change to them. Returns the
+// unsubscribe function.
+export function subscribeToDesigns(db, uid, onChange, onError) {
+  let parsed = new Map();
+  return onSnapshot(
+    designsCollection(db, uid),
+    { includeMetadataChanges: true },
+    (snapshot) => {
+      const next = new Map();
+      const failures = [];
+      snapshot.docs.forEach((entry) => {
+        const data = entry.get('data');
+        const previous = parsed.get(entry.id);
+        if (previous && previous.data === data) {
+          next.set(entry.id, previous);
+          return;
+        }
+        try {
+          next.set(entry.id, { data, design: fromDocument(entry) });
+        } catch (error) {
+          next.set(entry.id, { data, design: null });
+          failures.push(`"${entry.get('name') || entry.id}" (${error.message})`);
+        }
+      });
+      parsed = next;
+      const designs = [...next.values()]
+        .map(({ design }) => design)
+        .filter(Boolean)
+        .sort((a, b) => a.id - b.id);
+      onChange(designs, {
+        fromCache: snapshot.metadata.fromCache,
+        pendingWrites: snapshot.metadata.hasPendingWrites,
+      });
+      if (failures.length > 0) onError(new Error(describeUnreadable(failures, 'saved design')));
+    },
+    onError
+  );
+}
+
+// Both resolve once the server has the change, which offline is not until reconnecting; the local
+// cache (and any subscription) sees it straight away.
+export async function saveDesign(db, uid, design) {
+  return setDoc(designDocument(db, uid, design.id), toDocument(design));
+}
+
+// Firestore doesn't delete subcollections with their parent, so the revisions go first
+export async function deleteDesign(db, uid, id) {
+  const revisions = await getDocs(revisionsCollection(db, uid, id));
+  for (let start = 0; start < revisions.docs.length; start += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    revisions.docs.slice(start, start + BATCH_LIMIT).forEach((revision) => batch.delete(revision.ref));
+    await batch.commit();
+  }
+  return deleteDoc(designDocument(db, uid, id));
+}
+
+// A revision is what the design looked like when it was saved: { id, savedAt, name, room,
+// furniture, cameraViews, camera }. The thumbnail is left out to keep revisions small.
+export async function saveRevision(db, uid, design) {
+  const savedAt = Date.now();
+  const { room, furniture, cameraViews, camera } = design;
+  const data = encode({ room, furniture, cameraViews, camera }, design.name);
+  return setDoc(doc(revisionsCollection(db, uid, design.id), String(savedAt)), {
+    version: DESIGN_VERSION,
+    savedAt,
+    name: design.name,
+    data,
+  });
+}
+
+// Calls onChange(revisions) with the design's revisions, newest first. Revisions that can't be read
+// are left out and reported to onError. Returns the unsubscribe function.
+export function subscribeToRevisions(db, uid, designId, onChange, onError) {
+  return onSnapshot(
+    revisionsCollection(db, uid, designId),
+    (snapshot) => {
+      const revisions = [];
+      const failures = [];
+      snapshot.docs.forEach((entry) => {
+        const savedAt = entry.get('savedAt');
+        try {
+          revisions.push({ id: entry.id, savedAt, name: entry.get('name'), ...fromDocument(entry) });
+        } catch (error) {
+          failures.push(`${Number.isFinite(savedAt) ? new Date(savedAt).toLocaleString() : entry.id} (${error.message})`);
+        }
+      });
+      onChange(revisions.sort((a, b) => b.savedAt - a.savedAt));
+      if (failures.length > 0) onError(new Error(describeUnreadable(failures, 'revision')));
+    },
+    onError
+  );
+}
+
+function readLegacyDesigns() {
+  try {
+    const designs = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY));
+    return Array.isArray(designs) ? designs : [];
+  } catch {
+    return [];
+  }
+}
+
+// Designs used to be kept in localStorage under one key shared by everyone on the browser. The
+// first user to sign in afterwards takes them over: the key is claimed for that user, uploaded and
+// removed once the server has it. An interrupted upload is simply repeated next time, overwriting
+// the same documents. Designs too large for Firestore, and entries that aren't readable designs,
+// stay behind in the key. Resolves to { migrated, skipped, unreadable } counts.
+export async function migrateLocalDesigns(db, uid) {
+  const designs = readLegacyDesigns();
+  const claim = localStorage.getItem(LEGACY_CLAIM_KEY);
+  if (designs.length === 0 || (claim && claim !== uid)) return { migrated: 0, skipped: 0, unreadable: 0 };
+  localStorage.setItem(LEGACY_CLAIM_KEY, uid);
+
+  const fits = [];
+  const tooLarge = [];
+  const unreadable = [];
+  designs.forEach((design) => {
+    let upgraded;
+    try {
+      upgraded = upgrade(design, 0);
+    } catch {
+      unreadable.push(design);
+      return;
+    }
+    if (checkDesignSize(upgraded)) tooLarge.push(design);
+    else fits.push({ design, stored: toDocument(upgraded) });
+  });
+
+  for (let start = 0; start < fits.length; start += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    fits.slice(start, start + BATCH_LIMIT).forEach(({ design, stored }) => {
+      batch.set(designDocument(db, uid, design.id), stored);
+    });
+    await batch.commit();
+  }
+
+  const left = [...tooLarge, ...unreadable];
+  if (left.length > 0) {
+    localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(left));
+  } else {
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+    localStorage.removeItem(LEGACY_CLAIM_KEY);
+  }
+  return { migrated: fits.length, skipped: tooLarge.length, unreadable: unreadable.length };
+}
+
+// One-line summary of useUserDesigns' sync status for the "Saved Designs" header
+export function describeSyncStatus({ loading, fromCache, pendingWrites }) {
+  if (loading) return '';
+  if (fromCache) return 'Offline: changes are kept on this device and sync when you reconnect.';
+  if (pendingWrites) return 'Saving...';
+  return 'Saved to your account.';
+}
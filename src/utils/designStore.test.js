@@ -0,0 +1,116 @@
+import { TextEncoder } from 'util';
+import { onSnapshot, writeBatch } from 'firebase/firestore';
+import { DESIGN_VERSION, MAX_DESIGN_BYTES } from './designFormat';
+import { checkDesignSize, migrateLocalDesigns, subscribeToDesigns, subscribeToRevisions } from './designStore';
+
+jest.mock('firebase/firestore', () => ({
+  collection: jest.fn((db, ...path) => path.join('/')),
+  doc: jest.fn(),
+  onSnapshot: jest.fn(),
+  serverTimestamp: jest.fn(),
+  writeBatch: jest.fn(),
+}));
+
+const room = { id: 'living', name: 'Living Room', width: 5, height: 3, depth: 4, color: '#ffffff' };
+const stored = (id, fields) => {
+  const values = { name: `Design ${id}`, version: DESIGN_VERSION, data: JSON.stringify({ id, room, furniture: [] }), ...fields };
+  return { id: String(id), get: (key) => values[key] };
+};
+// jsdom has no TextEncoder, which designStore measures documents with
+global.TextEncoder = TextEncoder;
+
+const metadata = { fromCache: false, hasPendingWrites: false };
+
+// The snapshot listener Firestore would call for the latest subscription
+const lastListener = () => {
+  const args = onSnapshot.mock.calls[onSnapshot.mock.calls.length - 1];
+  return args.find((arg) => typeof arg === 'function');
+};
+
+function listen(onChange, onError) {
+  subscribeToDesigns({}, 'user-1', onChange, onError);
+  return lastListener();
+}
+
+describe('subscribeToDesigns', () => {
+  test('leaves out unreadable documents and reports them once', () => {
+    const onChange = jest.fn();
+    const onError = jest.fn();
+    const emit = listen(onChange, onError);
+    const docs = [
+      stored(1),
+      stored(2, { data: '{"id": 2, "room":' }),
+      stored(3, { data: JSON.stringify({ id: 3, name: 'Not a design' }) }),
+      stored(4, { version: DESIGN_VERSION + 1 }),
+    ];
+
+    emit({ docs, metadata });
+    expect(onChange.mock.calls[0][0].map((design) => design.id)).toEqual([1]);
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].message).toMatch(
+      /^3 saved designs could not be read and are not shown: "Design 2" \(.+\); "Design 3" \(.+\); "Design 4" \(design version \d+ is newer .+\)$/
+    );
+
+    // A metadata-only snapshot doesn't report the same documents again
+    emit({ docs, metadata: { ...metadata, hasPendingWrites: true } });
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps unchanged designs as the same objects', () => {
+    const onChange = jest.fn();
+    const emit = listen(onChange, jest.fn());
+    emit({ docs: [stored(1), stored(2)], metadata });
+    const renamed = stored(2, { name: 'Renamed', data: JSON.stringify({ id: 2, name: 'Renamed', room, furniture: [] }) });
+    emit({ docs: [stored(1), renamed], metadata });
+    const [first, second] = onChange.mock.calls.map(([designs]) => designs);
+    expect(second[0]).toBe(first[0]);
+    expect(second[1]).not.toBe(first[1]);
+    expect(second[1].name).toBe('Renamed');
+  });
+});
+
+describe('subscribeToRevisions', () => {
+  test('lists readable revisions newest first and reports the rest', () => {
+    const onChange = jest.fn();
+    const onError = jest.fn();
+    subscribeToRevisions({}, 'user-1', 1, onChange, onError);
+    const data = JSON.stringify({ room, furniture: [], cameraViews: [] });
+    const revision = (savedAt, fields) => stored(savedAt, { savedAt, name: 'Design 1', data, ...fields });
+    lastListener()({
+      docs: [revision(100), revision(300), revision(200, { data: 'not json' })],
+    });
+    expect(onChange.mock.calls[0][0].map(({ id, savedAt }) => ({ id, savedAt }))).toEqual([
+      { id: '300', savedAt: 300 },
+      { id: '100', savedAt: 100 },
+    ]);
+    expect(onError.mock.calls[0][0].message).toMatch(/^1 revision could not be read and is not shown: /);
+  });
+});
+
+describe('checkDesignSize', () => {
+  test('passes a design that fits and explains one that does not', () => {
+    const design = { id: 1, name: 'Large', room, furniture: [] };
+    expect(checkDesignSize(design)).toBeNull();
+    expect(checkDesignSize({ ...design, thumbnail: 'x'.repeat(MAX_DESIGN_BYTES + 100000) })).toMatch(
+      /^"Large" is too large to save \(1100 KB, at most 1000 KB\)/
+    );
+  });
+});
+
+describe('migrateLocalDesigns', () => {
+  afterEach(() => localStorage.clear());
+
+  test('moves readable designs and leaves oversized and unreadable ones behind', async () => {
+    const batch = { set: jest.fn(), commit: jest.fn(() => Promise.resolve()) };
+    writeBatch.mockReturnValue(batch);
+    const large = { id: 2, name: 'Large', room: { ...room, notes: 'x'.repeat(MAX_DESIGN_BYTES) }, furniture: [] };
+    const legacy = [{ id: 1, name: 'Small', room, furniture: [] }, large, { id: 3, name: 'Broken', furniture: 'x' }, null];
+    localStorage.setItem('designs', JSON.stringify(legacy));
+
+    await expect(migrateLocalDesigns({}, 'user-1')).resolves.toEqual({ migrated: 1, skipped: 1, unreadable: 2 });
+    expect(batch.set).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(batch.set.mock.calls[0][1].data).name).toBe('Small');
+    expect(JSON.parse(localStorage.getItem('designs'))).toEqual(legacy.slice(1));
+  });
+});
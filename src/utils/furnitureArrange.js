@@ -0,0 +1,82 @@
+import { clampToRoom, getBounds } from './furnitureBounds';
+
+// Align modes work on footprint edges as seen in the 2D view: left/right along X, top/bottom along Z
+// (top is the back wall at -Z).
+const ALIGN_MODES = {
+  left: { axis: 'x', edge: 'min' },
+  centerX: { axis: 'x', edge: 'center' },
+  right: { axis: 'x', edge: 'max' },
+  top: { axis: 'z', edge: 'min' },
+  centerZ: { axis: 'z', edge: 'center' },
+  bottom: { axis: 'z', edge: 'max' },
+};
+
+function edgeOf(bounds, axis, edge) {
+  const min = axis === 'x' ? bounds.minX : bounds.minZ;
+  const max = axis === 'x' ? bounds.maxX : bounds.maxZ;
+  if (edge === 'min') return min;
+  if (edge === 'max') return max;
+  return (min + max) / 2;
+}
+
+function selectedItems(furniture, ids) {
+  return furniture.filter((item) => ids.includes(item.id));
+}
+
+// New { x, z } for each selected item keyed by id, kept inside the room
+function toPositions(moves, room) {
+  return moves.reduce((positions, { item, x, z }) => {
+    positions[item.id] = clampToRoom(item, { x, z }, room);
+    return positions;
+  }, {});
+}
+
+export function alignItems(furniture, ids, mode, room) {
+  const { axis, edge } = ALIGN_MODES[mode];
+  const items = selectedItems(furniture, ids);
+  if (items.length < 2) return {};
+
+  const edges = items.map((item) => edgeOf(getBounds(item), axis, edge));
+  let target;
+  if (edge === 'min') target = Math.min(...edges);
+  else if (edge === 'max') target = Math.max(...edges);
+  else target = edges.reduce((sum, value) => sum + value, 0) / edges.length;
+
+  const moves = items.map((item, i) => {
+    const offset = target - edges[i];
+    return {
+      item,
+      x: (item.x || 0) + (axis === 'x' ? offset : 0),
+      z: (item.z || 0) + (axis === 'z' ? offset : 0),
+    };
+  });
+  return toPositions(moves, room);
+}
+
+// Spread the selection so the gaps between neighbouring footprints are equal. The outermost
+// items stay where they are.
+export function distributeItems(furniture, ids, axis, room) {
+  const items = selectedItems(furniture, ids);
+  if (items.length < 3) return {};
+
+  const sorted = items
+    .map((item) => ({ item, bounds: getBounds(item) }))
+    .sort((a, b) => edgeOf(a.bounds, axis, 'center') - edgeOf(b.bounds, axis, 'center'));
+  const size = ({ bounds }) => edgeOf(bounds, axis, 'max') - edgeOf(bounds, axis, 'min');
+  const start = edgeOf(sorted[0].bounds, axis, 'min');
+  const end = edgeOf(sorted[sorted.length - 1].bounds, axis, 'max');
+  const totalSize = sorted.reduce((sum, entry) => sum + size(entry), 0);
+  const gap = (end - start - totalSize) / (sorted.length - 1);
+
+  let cursor = start;
+  const moves = sorted.map((entry) => {
+    const offset = cursor - edgeOf(entry.bounds, axis, 'min');
+    cursor += size(entry) + gap;
+    return {
+      item: entry.item,
+      x: (entry.item.x || 0) + (axis === 'x' ? offset : 0),
+      z: (entry.item.z || 0) + (axis === 'z' ? offset : 0),
+    };
+  });
+  return toPositions(moves, room);
+}
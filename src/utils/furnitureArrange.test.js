@@ -0,0 +1,47 @@
+import { alignItems, distributeItems } from './furnitureArrange';
+
+// The sofa type is 3 m wide and 1 m deep, the chair 1 m square
+const room = { width: 10, depth: 8 };
+
+describe('alignItems', () => {
+  test('lines up left edges of rotated and unrotated footprints', () => {
+    const furniture = [
+      { id: 1, type: 'sofa', x: 0, z: -2 },
+      { id: 2, type: 'sofa', x: 1, z: 2, rotation: 90 },
+    ];
+    const positions = alignItems(furniture, [1, 2], 'left', room);
+    expect(positions[1]).toEqual({ x: 0, z: -2 });
+    // Turned a quarter turn the sofa is 1 m across, so its centre sits 0.5 m in from the edge
+    expect(positions[2].x).toBeCloseTo(-1);
+    expect(positions[2].z).toBe(2);
+  });
+
+  test('centres along Z on the mean of the footprint centres', () => {
+    const furniture = [
+      { id: 1, type: 'chair', x: -3, z: -2 },
+      { id: 2, type: 'sofa', x: 2, z: 1, rotation: 90 },
+    ];
+    const positions = alignItems(furniture, [1, 2], 'centerZ', room);
+    expect(positions[1]).toEqual({ x: -3, z: -0.5 });
+    expect(positions[2]).toEqual({ x: 2, z: -0.5 });
+  });
+
+  test('needs at least two items', () => {
+    expect(alignItems([{ id: 1, type: 'chair', x: 0, z: 0 }], [1], 'left', room)).toEqual({});
+  });
+});
+
+describe('distributeItems', () => {
+  test('leaves equal gaps between footprints and keeps the outer items in place', () => {
+    const furniture = [
+      { id: 1, type: 'chair', x: -4, z: 0 },
+      { id: 2, type: 'sofa', x: -2, z: 0 },
+      { id: 3, type: 'chair', x: 4, z: 0 },
+    ];
+    const positions = distributeItems(furniture, [1, 2, 3], 'x', room);
+    expect(positions[1].x).toBeCloseTo(-4);
+    expect(positions[3].x).toBeCloseTo(4);
+    // 9 m from edge to edge holding 5 m of furniture leaves two 2 m gaps
+    expect(positions[2].x).toBeCloseTo(0);
+  });
+});
@@ -0,0 +1,218 @@
+import { getFurnitureType } from './furnitureRegistry';
+import { getRoomOutline, isRectInOutline } from './roomGeometry';
+
+const DEFAULT_FOOTPRINT = { width: 1, depth: 1 };
+
+// Small tolerance so items placed exactly against each other or a wall don't count as colliding
+const EPSILON = 1e-6;
+
+export function getFootprint(item) {
+  // Imported models carry their own measured footprint; everything else comes from its type definition
+  const definition = getFurnitureType(item.type);
+  const footprint = (item.model && item.model.footprint) || (definition && definition.dimensions) || DEFAULT_FOOTPRINT;
+  const scale = item.scale || 1;
+  return { width: footprint.width * scale, depth: footprint.depth * scale };
+}
+
+// 'ceiling' for fixtures hung from the ceiling, otherwise 'floor'. Items only collide with items
+// on the same level.
+export function getMount(item) {
+  const definition = getFurnitureType(item.type);
+  return (definition && definition.mount) || 'floor';
+}
+
+// Height in metres, for checks that care what an item stands in front of (windows)
+export function getHeight(item) {
+  const definition = getFurnitureType(item.type);
+  const height = (item.model && item.model.height) || (definition && definition.dimensions.height) || 1;
+  return height * (item.scale || 1);
+}
+
+// Rotation is stored in whole degrees, 0-359, as the settings panel shows it
+export function normalizeRotation(degrees) {
+  return ((Math.round(degrees) % 360) + 360) % 360;
+}
+
+// Axis-aligned bounds of the item's rotated footprint on the floor plane
+export function getBounds(item, position = item) {
+  const { width, depth } = getFootprint(item);
+  const angle = ((item.rotation || 0) * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  const halfX = (cos * width + sin * depth) / 2;
+  const halfZ = (sin * width + cos * depth) / 2;
+  const x = position.x || 0;
+  const z = position.z || 0;
+  return { minX: x - halfX, maxX: x + halfX, minZ: z - halfZ, maxZ: z + halfZ };
+}
+
+export function boundsOverlap(a, b) {
+  return (
+    a.minX < b.maxX - EPSILON &&
+    a.maxX > b.minX + EPSILON &&
+    a.minZ < b.maxZ - EPSILON &&
+    a.maxZ > b.minZ + EPSILON
+  );
+}
+
+export function isInsideRoom(bounds, room) {
+  if (room.outline) {
+    return isRectInOutline(bounds, getRoomOutline(room));
+  }
+  const halfWidth = room.width / 2;
+  const halfDepth = room.depth / 2;
+  return (
+    bounds.minX >= -halfWidth - EPSILON &&
+    bounds.maxX <= halfWidth + EPSILON &&
+    bounds.minZ >= -halfDepth - EPSILON &&
+    bounds.maxZ <= halfDepth + EPSILON
+  );
+}
+
+// Pull a position back inside the room's bounding box; items larger than the room are centred on
+// that axis. For shaped rooms the result can still be outside the outline (inside the notch of an L),
+// so callers check isInsideRoom as well.
+export function clampToRoom(item, position, room) {
+  const bounds = getBounds(item, position);
+  const halfX = (bounds.maxX - bounds.minX) / 2;
+  const halfZ = (bounds.maxZ - bounds.minZ) / 2;
+  const limitX = Math.max(room.width / 2 - halfX, 0);
+  const limitZ = Math.max(room.depth / 2 - halfZ, 0);
+  return {
+    x: Math.min(Math.max(position.x, -limitX), limitX),
+    z: Math.min(Math.max(position.z, -limitZ), limitZ),
+  };
+}
+
+// Indices of the other items whose footprints intersect the given item at the given position
+export function findCollisions(furniture, index, item, position = item) {
+  const bounds = getBounds(item, position);
+  const mount = getMount(item);
+  return furniture.reduce((hits, other, otherIndex) => {
+    if (otherIndex !== index && getMount(other) === mount && boundsOverlap(bounds, getBounds(other))) {
+      hits.push(otherIndex);
+    }
+    return hits;
+  }, []);
+}
+
+// Work out where a move of furniture[index] may actually go. The target is clamped to the
+// walls; when it would overlap another item we try sliding along each axis before giving up.
+export function resolveMove(furniture, index, updates, room, { allowOverlap = false } = {}) {
+  const current = furniture[index];
+  const item = { ...current, ...updates };
+  const target = clampToRoom(item, { x: item.x || 0, z: item.z || 0 }, room);
+  const clamped = target.x !== (item.x || 0) || target.z !== (item.z || 0);
+
+  // An item that already overlaps something may keep doing so while it is dragged clear
+  const existing = findCollisions(furniture, index, current);
+  const wasInside = isInsideRoom(getBounds(current), room);
+  const candidates = [target, { x: target.x, z: current.z || 0 }, { x: current.x || 0, z: target.z }];
+  for (const position of candidates) {
+    // Shaped rooms: don't let an item that is inside slip into the notch of an L
+    if (wasInside && !isInsideRoom(getBounds(item, position), room)) continue;
+    if (allowOverlap) {
+      return { updates: { ...updates, ...position }, blocked: clamped || position !== target, collisions: [] };
+    }
+    const hits = findCollisions(furniture, index, item, position);
+    if (hits.every((hit) => existing.includes(hit))) {
+      const moved = position === target;
+      return { updates: { ...updates, ...position }, blocked: clamped || !moved, collisions: [] };
+    }
+  }
+
+  return {
+    updates: null,
+    blocked: true,
+    collisions: findCollisions(furniture, index, item, target),
+  };
+}
+
+// Group version of resolveMove. `targets` maps item id to its requested { x, z }. The whole group
+// is shifted back inside the walls together so it keeps its shape, and the move is rejected if
+// any member would run into furniture outside the group.
+export function resolveGroupMove(furniture, targets, room, { allowOverlap = false } = {}) {
+  const moving = furniture
+    .map((item, index) => ({ item, index, target: targets[item.id] }))
+    .filter((entry) => entry.target);
+  if (moving.length === 0) return { positions: null, blocked: false };
+
+  const union = moving.reduce(
+    (acc, { item, target }) => {
+      const bounds = getBounds(item, target);
+      return {
+        minX: Math.min(acc.minX, bounds.minX),
+        maxX: Math.max(acc.maxX, bounds.maxX),
+        minZ: Math.min(acc.minZ, bounds.minZ),
+        maxZ: Math.max(acc.maxZ, bounds.maxZ),
+      };
+    },
+    { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity }
+  );
+  const shift = (min, max, half) => {
+    if (max - min > half * 2) return -(min + max) / 2;
+    if (min < -half) return -half - min;
+    if (max > half) return half - max;
+    return 0;
+  };
+  const shiftX = shift(union.minX, union.maxX, room.width / 2);
+  const shiftZ = shift(union.minZ, union.maxZ, room.depth / 2);
+
+  const positions = {};
+  moving.forEach(({ item, target }) => {
+    positions[item.id] = { x: target.x + shiftX, z: target.z + shiftZ };
+  });
+  const clamped = shiftX !== 0 || shiftZ !== 0;
+
+  const leavesRoom = moving.some(
+    ({ item }) => isInsideRoom(getBounds(item), room) && !isInsideRoom(getBounds(item, positions[item.id]), room)
+  );
+  if (leavesRoom) return { positions: null, blocked: true };
+
+  if (!allowOverlap) {
+    const isMoving = (other) => positions[other.id] !== undefined;
+    const blockedByOthers = moving.some(({ item, index }) => {
+      const existing = findCollisions(furniture, index, item);
+      return findCollisions(furniture, index, item, positions[item.id]).some(
+        (hit) => !isMoving(furniture[hit]) && !existing.includes(hit)
+      );
+    });
+    if (blockedByOthers) return { positions: null, blocked: true };
+  }
+
+  return { positions, blocked: clamped };
+}
+
+// Items that are outside the room or overlapping a neighbour, keyed by id
+export function getLayoutIssues(furniture, room, { allowOverlap = false } = {}) {
+  const issues = {};
+  furniture.forEach((item, index) => {
+    if (!isInsideRoom(getBounds(item), room)) {
+      issues[item.id] = 'outside';
+    } else if (!allowOverlap && findCollisions(furniture, index, item).length > 0) {
+      issues[item.id] = 'overlap';
+    }
+  });
+  return issues;
+}
+
+// First free spot for a new item, scanning outwards from the preferred position in half-metre rings
+export function findFreePosition(furniture, item, room, preferred = { x: 0, z: 0 }) {
+  const step = 0.5;
+  const maxRing = Math.ceil(Math.max(room.width, room.depth) / step);
+  for (let ring = 0; ring <= maxRing; ring++) {
+    for (let dx = -ring; dx <= ring; dx++) {
+      for (let dz = -ring; dz <= ring; dz++) {
+        if (Math.max(Math.abs(dx), Math.abs(dz)) !== ring) continue;
+        const position = { x: preferred.x + dx * step, z: preferred.z + dz * step };
+        if (
+          isInsideRoom(getBounds(item, position), room) &&
+          findCollisions(furniture, -1, item, position).length === 0
+        ) {
+          return position;
+        }
+      }
+    }
+  }
+  return clampToRoom(item, preferred, room);
+}
@@ -0,0 +1,144 @@
+import {
+  boundsOverlap,
+  findCollisions,
+  getBounds,
+  getLayoutIssues,
+  isInsideRoom,
+  normalizeRotation,
+  resolveMove,
+} from './furnitureBounds';
+
+// The sofa type is 3 m wide and 1 m deep, the chair 1 m square
+const sofa = (fields) => ({ id: 1, type: 'sofa', x: 0, z: 0, ...fields });
+const chair = (fields) => ({ id: 2, type: 'chair', x: 0, z: 0, ...fields });
+const room = { width: 10, depth: 8 };
+
+const expectBounds = (bounds, expected) => {
+  Object.entries(expected).forEach(([key, value]) => expect(bounds[key]).toBeCloseTo(value));
+};
+
+describe('normalizeRotation', () => {
+  test('wraps angles into 0-359 whole degrees', () => {
+    expect(normalizeRotation(360)).toBe(0);
+    expect(normalizeRotation(-90)).toBe(270);
+    expect(normalizeRotation(721.4)).toBe(1);
+  });
+});
+
+describe('getBounds', () => {
+  test('uses the footprint as is without rotation', () => {
+    expectBounds(getBounds(sofa({ x: 1, z: 2 })), { minX: -0.5, maxX: 2.5, minZ: 1.5, maxZ: 2.5 });
+  });
+
+  test('swaps width and depth at quarter turns', () => {
+    const expected = { minX: -0.5, maxX: 0.5, minZ: -1.5, maxZ: 1.5 };
+    expectBounds(getBounds(sofa({ rotation: 90 })), expected);
+    expectBounds(getBounds(sofa({ rotation: 270 })), expected);
+  });
+
+  test('grows to enclose a footprint turned 45 degrees', () => {
+    const half = (3 + 1) / 2 / Math.SQRT2;
+    expectBounds(getBounds(sofa({ rotation: 45 })), { minX: -half, maxX: half, minZ: -half, maxZ: half });
+  });
+
+  test('applies the scale and an explicit position', () => {
+    expectBounds(getBounds(chair({ scale: 2 }), { x: 3, z: -1 }), { minX: 2, maxX: 4, minZ: -2, maxZ: 0 });
+  });
+});
+
+describe('boundsOverlap', () => {
+  const box = { minX: 0, maxX: 1, minZ: 0, maxZ: 1 };
+
+  test('does not count touching edges or corners as overlapping', () => {
+    expect(boundsOverlap(box, { minX: 1, maxX: 2, minZ: 0, maxZ: 1 })).toBe(false);
+    expect(boundsOverlap(box, { minX: 1, maxX: 2, minZ: 1, maxZ: 2 })).toBe(false);
+  });
+
+  test('counts any real intersection', () => {
+    expect(boundsOverlap(box, { minX: 0.99, maxX: 2, minZ: 0, maxZ: 1 })).toBe(true);
+    expect(boundsOverlap(box, { minX: 0.25, maxX: 0.75, minZ: 0.25, maxZ: 0.75 })).toBe(true);
+  });
+});
+
+describe('findCollisions', () => {
+  test('a sofa turned a quarter turn clears a chair it would hit unrotated', () => {
+    const furniture = [sofa(), chair({ x: 1.25 })];
+    expect(findCollisions(furniture, 0, furniture[0])).toEqual([1]);
+    expect(findCollisions(furniture, 0, { ...furniture[0], rotation: 90 })).toEqual([]);
+  });
+
+  test('ignores pieces on the other level', () => {
+    const furniture = [sofa(), { id: 3, type: 'ceilinglight', x: 0, z: 0 }];
+    expect(findCollisions(furniture, 0, furniture[0])).toEqual([]);
+  });
+
+  test('reports pieces placed edge to edge as clear', () => {
+    const furniture = [sofa(), chair({ x: 2 })];
+    expect(findCollisions(furniture, 0, furniture[0])).toEqual([]);
+  });
+});
+
+describe('isInsideRoom', () => {
+  test('allows a piece flush against the wall and rejects one past it', () => {
+    expect(isInsideRoom(getBounds(sofa({ x: 3.5 })), room)).toBe(true);
+    expect(isInsideRoom(getBounds(sofa({ x: 3.6 })), room)).toBe(false);
+  });
+
+  test('follows the outline of an L-shaped room', () => {
+    const lRoom = {
+      width: 6,
+      depth: 6,
+      outline: [
+        { x: -3, z: -3 },
+        { x: 3, z: -3 },
+        { x: 3, z: 0 },
+        { x: 0, z: 0 },
+        { x: 0, z: 3 },
+        { x: -3, z: 3 },
+      ],
+    };
+    expect(isInsideRoom(getBounds(chair({ x: -1.5, z: 1.5 })), lRoom)).toBe(true);
+    expect(isInsideRoom(getBounds(chair({ x: 1.5, z: 1.5 })), lRoom)).toBe(false);
+  });
+});
+
+describe('resolveMove', () => {
+  test('clamps a move past the wall and marks it blocked', () => {
+    const { updates, blocked } = resolveMove([sofa()], 0, { x: 10 }, room);
+    expect(updates.x).toBeCloseTo(3.5);
+    expect(blocked).toBe(true);
+  });
+
+  test('slides along the free axis when the target overlaps another piece', () => {
+    const furniture = [chair({ x: -2 }), sofa({ id: 1, x: 0, z: 0 })];
+    const { updates, blocked } = resolveMove(furniture, 0, { x: -1, z: 0.5 }, room);
+    expect(updates).toEqual({ x: -2, z: 0.5 });
+    expect(blocked).toBe(true);
+  });
+
+  test('lets a rotation through when the turned footprint still fits', () => {
+    const furniture = [sofa(), chair({ x: 0, z: 2 })];
+    expect(resolveMove(furniture, 0, { rotation: 90 }, room).updates).toEqual({ rotation: 90, x: 0, z: 0 });
+  });
+
+  test('rejects a rotation that swings into a neighbour', () => {
+    const furniture = [sofa(), chair({ x: 0, z: 1.25 })];
+    const { updates, collisions } = resolveMove(furniture, 0, { rotation: 90 }, room);
+    expect(updates).toBeNull();
+    expect(collisions).toEqual([1]);
+  });
+
+  test('allows overlaps when asked to', () => {
+    const furniture = [sofa(), chair({ x: 3 })];
+    const { updates, collisions } = resolveMove(furniture, 0, { x: 2.5 }, room, { allowOverlap: true });
+    expect(updates).toEqual({ x: 2.5, z: 0 });
+    expect(collisions).toEqual([]);
+  });
+});
+
+describe('getLayoutIssues', () => {
+  test('flags pieces outside the room before overlaps', () => {
+    const furniture = [sofa({ x: 4 }), chair({ x: 3.5 }), chair({ id: 3, x: -3 })];
+    expect(getLayoutIssues(furniture, room)).toEqual({ 1: 'outside', 2: 'overlap' });
+  });
+});
@@ -0,0 +1,47 @@
+import { getFurnitureType, getItemSlots } from './furnitureRegistry';
+
+// Pieces that look exactly alike (same type, finish, colour and shade) are drawn together as
+// instanced meshes once there are this many of them; fewer aren't worth the extra bookkeeping.
+export const INSTANCE_THRESHOLD = 4;
+
+// Custom models have their own geometry, and light fixtures carry a light and a glow of their own
+function canInstance(item) {
+  const definition = getFurnitureType(item.type);
+  return Boolean(definition && !item.model && !definition.light);
+}
+
+function appearanceKey(item) {
+  const definition = getFurnitureType(item.type);
+  return [
+    item.type,
+    JSON.stringify(getItemSlots(item, definition)),
+    item.color || definition.defaults.color,
+    item.shade || definition.defaults.shade,
+  ].join('|');
+}
+
+// Splits furniture into items drawn one by one and batches of look-alikes drawn as instances:
+// { single: [item], batches: [{ key, type, items }] }
+export function groupForInstancing(furniture, threshold = INSTANCE_THRESHOLD) {
+  const groups = new Map();
+  const single = [];
+  furniture.forEach((item) => {
+    if (!canInstance(item)) {
+      single.push(item);
+      return;
+    }
+    const key = appearanceKey(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+
+  const batches = [];
+  groups.forEach((items, key) => {
+    if (items.length >= threshold) {
+      batches.push({ key, type: items[0].type, items });
+    } else {
+      single.push(...items);
+    }
+  });
+  return { single, batches };
+}
@@ -0,0 +1,48 @@
+import { formatMetres } from './furnitureMeasure';
+
+// Keyboard editing of the selection. Arrow keys nudge along the floor plan as it is drawn in the
+// 2D view (Up moves towards the top, -Z); Shift takes coarse steps and Alt fine ones.
+export const NUDGE_STEPS = { fine: 0.01, normal: 0.1, coarse: 0.5 };
+export const ROTATE_STEP = 15;
+
+const NUDGE_DIRECTIONS = {
+  ArrowUp: { x: 0, z: -1 },
+  ArrowDown: { x: 0, z: 1 },
+  ArrowLeft: { x: -1, z: 0 },
+  ArrowRight: { x: 1, z: 0 },
+};
+
+// Offset in metres for an arrow-key event, or null for any other key
+export function getNudge(event) {
+  const direction = NUDGE_DIRECTIONS[event.key];
+  if (!direction) return null;
+  const step = event.shiftKey ? NUDGE_STEPS.coarse : event.altKey ? NUDGE_STEPS.fine : NUDGE_STEPS.normal;
+  return { x: direction.x * step, z: direction.z * step };
+}
+
+// Index of the item after (or before) the current selection, wrapping round; -1 for an empty room
+export function cycleIndex(furniture, selectedIds, backwards = false) {
+  if (furniture.length === 0) return -1;
+  const selected = furniture
+    .map((item, index) => (selectedIds.includes(item.id) ? index : -1))
+    .filter((index) => index !== -1);
+  if (selected.length === 0) return backwards ? furniture.length - 1 : 0;
+  const from = backwards ? selected[0] : selected[selected.length - 1];
+  return (from + (backwards ? -1 : 1) + furniture.length) % furniture.length;
+}
+
+export function getItemLabel(item, index) {
+  return `${item.name || item.type} #${index + 1}`;
+}
+
+export function describeItem(item, index) {
+  return `${getItemLabel(item, index)} at X ${formatMetres(item.x || 0)}, Z ${formatMetres(item.z || 0)}, rotated ${item.rotation || 0}°.`;
+}
+
+// What the live region reads out when the selection changes
+export function describeSelection(furniture, selectedIds) {
+  const selected = furniture.filter((item) => selectedIds.includes(item.id));
+  if (selected.length === 0) return 'Nothing selected.';
+  if (selected.length > 1) return `${selected.length} items selected.`;
+  return `Selected ${describeItem(selected[0], furniture.indexOf(selected[0]))}`;
+}
@@ -0,0 +1,67 @@
+import { getBounds, getMount } from './furnitureBounds';
+import { castToWall, getRoomOutline } from './roomGeometry';
+
+export function distanceBetween(a, b) {
+  return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+export function formatMetres(distance) {
+  return `${distance.toFixed(2)} m`;
+}
+
+// Overlap of two [min, max] ranges, or null when they don't overlap
+function overlapRange(minA, maxA, minB, maxB) {
+  const min = Math.max(minA, minB);
+  const max = Math.min(maxA, maxB);
+  return max > min ? { min, max } : null;
+}
+
+// Clear space from each side of furniture[index] to the nearest obstacle straight ahead: a
+// neighbour whose footprint lies in that direction, or otherwise the first wall of the room
+// outline. Each entry gives the segment to draw ({ from, to } on the floor), its length and what
+// it ends at.
+export function getClearances(furniture, index, room) {
+  const item = furniture[index];
+  const bounds = getBounds(item);
+  const centerX = (bounds.minX + bounds.maxX) / 2;
+  const centerZ = (bounds.minZ + bounds.maxZ) / 2;
+  const outline = getRoomOutline(room);
+  const others = furniture
+    .filter((other, otherIndex) => otherIndex !== index && getMount(other) === getMount(item))
+    .map((other) => getBounds(other));
+
+  const directions = [
+    { axis: 'x', sign: -1, edge: bounds.minX },
+    { axis: 'x', sign: 1, edge: bounds.maxX },
+    { axis: 'z', sign: -1, edge: bounds.minZ },
+    { axis: 'z', sign: 1, edge: bounds.maxZ },
+  ];
+
+  return directions.map(({ axis, sign, edge }) => {
+    const start = axis === 'x' ? { x: edge, z: centerZ } : { x: centerX, z: edge };
+    const reach = castToWall(start, axis === 'x' ? { x: sign, z: 0 } : { x: 0, z: sign }, outline);
+    // Nothing ahead means the edge already sits on (or beyond) the wall
+    let stop = Number.isFinite(reach) ? edge + sign * reach : edge;
+    let target = 'wall';
+    let across = axis === 'x' ? centerZ : centerX;
+
+    others.forEach((other) => {
+      const lane =
+        axis === 'x'
+          ? overlapRange(bounds.minZ, bounds.maxZ, other.minZ, other.maxZ)
+          : overlapRange(bounds.minX, bounds.maxX, other.minX, other.maxX);
+      if (!lane) return;
+      const near = axis === 'x' ? (sign > 0 ? other.minX : other.maxX) : sign > 0 ? other.minZ : other.maxZ;
+      if ((near - edge) * sign >= 0 && (near - stop) * sign < 0) {
+        stop = near;
+        target = 'item';
+        // Draw the line through the middle of the shared lane so it visibly meets the neighbour
+        across = (lane.min + lane.max) / 2;
+      }
+    });
+
+    const from = axis === 'x' ? { x: edge, z: across } : { x: across, z: edge };
+    const to = axis === 'x' ? { x: stop, z: across } : { x: across, z: stop };
+    return { from, to, distance: Math.max((stop - edge) * sign, 0), target };
+  });
+}
@@ -0,0 +1,268 @@
+import furnitureData from '../data/furnitureTypes.json';
+
+// Furniture types are plain data (see src/data/furnitureTypes.json). A type definition looks like:
+//
+//   {
+//     "type": "chair",                              unique id stored on furniture items
+//     "label": "Chair",
+//     "dimensions": { "width", "depth", "height" }, metres at scale 1; width/depth are the footprint
+//     "defaults": { "color": "#8B4513", "shade": 50 },
+//     "slots": { "body": "wood" },                  material slot name -> key of "materials"
+//     "mount": "floor",                             optional; "ceiling" hangs the item from the ceiling
+//     "parts": [                                    primitives, positioned relative to the floor centre
+//       { "geometry": "box", "args": [1, 0.1, 1], "position": [0, 0.5, 0], "slot": "body" }
+//     ],                                            (or the ceiling centre, with negative y, when mounted there)
+//     "light": {                                    optional; makes the item a light source
+//       "kind": "point", "position": [0, 1.5, 0],   "point" or "spot" (spots shine straight down)
+//       "intensity": 8, "distance": 8,              candela at full brightness, range in metres
+//       "temperature": 2700, "slot": "light"        default colour temperature (K); slot that glows with it
+//     },
+//     "products": [{ "id", "name", "price", "image", "options" }]  catalogue entries built on this type
+//   }
+//
+// A product's optional "options" are the finishes it is sold in, e.g.
+//   { "id": "oak-veneer", "name": "Oak veneer", "slots": { "body": "oak" }, "priceModifier": -40 }
+// Each swaps the materials of some slots (or none, for the standard finish) and adds its
+// priceModifier to the product price. The first option is the default.
+//
+// Materials name a texture in public/textures plus standard material settings; "tinted": false keeps
+// a material's own colour instead of the item colour (the lamp bulb, for instance).
+
+const registeredMaterials = {};
+const registeredTypes = new Map();
+
+// Allowed number of args for each primitive, matching the three.js geometry constructors
+const GEOMETRY_ARGS = {
+  box: { min: 3, max: 3 },
+  cylinder: { min: 3, max: 4 },
+  cone: { min: 2, max: 3 },
+  sphere: { min: 1, max: 3 },
+};
+
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+const MOUNTS = ['floor', 'ceiling'];
+const LIGHT_KINDS = ['point', 'spot'];
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isVector3 = (value) =>
+  Array.isArray(value) && value.length === 3 && value.every((n) => typeof n === 'number' && Number.isFinite(n));
+
+export function validateMaterial(id, material) {
+  const errors = [];
+  const path = `materials.${id}`;
+  if (!material || typeof material !== 'object') return [`${path} must be an object`];
+  if (material.texture !== undefined && typeof material.texture !== 'string') {
+    errors.push(`${path}.texture must be a file name in public/textures`);
+  }
+  ['color', 'emissive'].forEach((key) => {
+    if (material[key] !== undefined && !HEX_COLOR.test(material[key])) {
+      errors.push(`${path}.${key} must be a #rrggbb colour`);
+    }
+  });
+  ['roughness', 'metalness'].forEach((key) => {
+    if (material[key] !== undefined && !(typeof material[key] === 'number' && material[key] >= 0 && material[key] <= 1)) {
+      errors.push(`${path}.${key} must be a number between 0 and 1`);
+    }
+  });
+  if (material.emissiveIntensity !== undefined && !(typeof material.emissiveIntensity === 'number' && material.emissiveIntensity >= 0)) {
+    errors.push(`${path}.emissiveIntensity must be a non-negative number`);
+  }
+  if (material.tinted !== undefined && typeof material.tinted !== 'boolean') {
+    errors.push(`${path}.tinted must be true or false`);
+  }
+  return errors;
+}
+
+// Check a type definition against the format above. Returns a list of readable errors, empty when valid.
+export function validateFurnitureType(definition, materials = registeredMaterials) {
+  if (!definition || typeof definition !== 'object') return ['definition must be an object'];
+  const errors = [];
+  const name = typeof definition.type === 'string' && definition.type ? definition.type : '(unnamed)';
+  const at = (path, message) => errors.push(`${name}: ${path} ${message}`);
+
+  if (typeof definition.type !== 'string' || !/^[a-z][a-z0-9-]*$/.test(definition.type)) {
+    at('type', 'must be a lowercase id such as "armchair"');
+  } else if (definition.type === 'custom') {
+    at('type', '"custom" is reserved for imported models');
+  }
+  if (typeof definition.label !== 'string' || !definition.label.trim()) at('label', 'is required');
+
+  const dimensions = definition.dimensions || {};
+  ['width', 'depth', 'height'].forEach((key) => {
+    if (!isPositiveNumber(dimensions[key])) at(`dimensions.${key}`, 'must be a positive number of metres');
+  });
+
+  const defaults = definition.defaults || {};
+  if (!HEX_COLOR.test(defaults.color)) at('defaults.color', 'must be a #rrggbb colour');
+  if (!(typeof defaults.shade === 'number' && defaults.shade >= 0 && defaults.shade <= 100)) {
+    at('defaults.shade', 'must be a number from 0 to 100');
+  }
+
+  const slots = definition.slots;
+  if (!slots || typeof slots !== 'object' || Object.keys(slots).length === 0) {
+    at('slots', 'must map at least one slot name to a material');
+  } else {
+    Object.entries(slots).forEach(([slot, material]) => {
+      if (!materials[material]) at(`slots.${slot}`, `refers to unknown material "${material}"`);
+    });
+  }
+
+  if (!Array.isArray(definition.parts) || definition.parts.length === 0) {
+    at('parts', 'must contain at least one part');
+  } else {
+    definition.parts.forEach((part, i) => {
+      const path = `parts[${i}]`;
+      const limits = GEOMETRY_ARGS[part.geometry];
+      if (!limits) {
+        at(`${path}.geometry`, `must be one of ${Object.keys(GEOMETRY_ARGS).join(', ')}`);
+      } else if (
+        !Array.isArray(part.args) ||
+        part.args.length < limits.min ||
+        part.args.length > limits.max ||
+        !part.args.every(isPositiveNumber)
+      ) {
+        at(`${path}.args`, `must be ${limits.min === limits.max ? limits.min : `${limits.min}-${limits.max}`} positive numbers for a ${part.geometry}`);
+      }
+      if (!isVector3(part.position)) at(`${path}.position`, 'must be [x, y, z]');
+      if (part.rotation !== undefined && !isVector3(part.rotation)) at(`${path}.rotation`, 'must be [x, y, z] in radians');
+      if (!slots || !slots[part.slot]) at(`${path}.slot`, `must be one of the type's slots`);
+    });
+  }
+
+  if (definition.mount !== undefined && !MOUNTS.includes(definition.mount)) {
+    at('mount', `must be one of ${MOUNTS.join(', ')}`);
+  }
+
+  const light = definition.light;
+  if (light !== undefined) {
+    if (!light || typeof light !== 'object') {
+      at('light', 'must be an object');
+    } else {
+      if (!LIGHT_KINDS.includes(light.kind)) at('light.kind', `must be one of ${LIGHT_KINDS.join(', ')}`);
+      if (!isVector3(light.position)) at('light.position', 'must be [x, y, z]');
+      if (!isPositiveNumber(light.intensity)) at('light.intensity', 'must be a positive number');
+      if (!isPositiveNumber(light.distance)) at('light.distance', 'must be a positive number of metres');
+      if (light.angle !== undefined && !(isPositiveNumber(light.angle) && light.angle <= Math.PI / 2)) {
+        at('light.angle', 'must be a number of radians up to π/2');
+      }
+      if (light.temperature !== undefined && !(isPositiveNumber(light.temperature) && light.temperature >= 1000 && light.temperature <= 12000)) {
+        at('light.temperature', 'must be a colour temperature from 1000 to 12000 K');
+      }
+      if (light.slot !== undefined && (!slots || !slots[light.slot])) at('light.slot', `must be one of the type's slots`);
+    }
+  }
+
+  if (!Array.isArray(definition.products)) {
+    at('products', 'must be a list (it may be empty)');
+  } else {
+    definition.products.forEach((product, i) => {
+      const path = `products[${i}]`;
+      if (typeof product.id !== 'string' || !product.id) at(`${path}.id`, 'is required');
+      if (typeof product.name !== 'string' || !product.name) at(`${path}.name`, 'is required');
+      if (!(typeof product.price === 'number' && product.price >= 0)) at(`${path}.price`, 'must be a non-negative number');
+      if (product.image !== undefined && typeof product.image !== 'string') at(`${path}.image`, 'must be an image path');
+      if (product.options !== undefined) {
+        if (!Array.isArray(product.options) || product.options.length === 0) {
+          at(`${path}.options`, 'must be a non-empty list when given');
+        } else {
+          const seen = new Set();
+          product.options.forEach((option, j) => {
+            const optionPath = `${path}.options[${j}]`;
+            if (typeof option.id !== 'string' || !option.id) at(`${optionPath}.id`, 'is required');
+            else if (seen.has(option.id)) at(`${optionPath}.id`, `"${option.id}" is used twice`);
+            seen.add(option.id);
+            if (typeof option.name !== 'string' || !option.name) at(`${optionPath}.name`, 'is required');
+            if (!(typeof option.priceModifier === 'number' && Number.isFinite(option.priceModifier))) {
+              at(`${optionPath}.priceModifier`, 'must be a number (negative for a cheaper finish)');
+            } else if (typeof product.price === 'number' && product.price + option.priceModifier < 0) {
+              at(`${optionPath}.priceModifier`, 'must not make the price negative');
+            }
+            Object.entries(option.slots || {}).forEach(([slot, material]) => {
+              if (!slots || !slots[slot]) at(`${optionPath}.slots.${slot}`, `is not one of the type's slots`);
+              if (!materials[material]) at(`${optionPath}.slots.${slot}`, `refers to unknown material "${material}"`);
+            });
+          });
+        }
+      }
+    });
+  }
+
+  return errors;
+}
+
+export function registerMaterial(id, material) {
+  const errors = validateMaterial(id, material);
+  if (errors.length > 0) {
+    throw new Error(`Invalid material:\n${errors.join('\n')}`);
+  }
+  registeredMaterials[id] = { tinted: true, ...material };
+}
+
+// Add a furniture type at runtime. Throws with every schema error when the definition is invalid.
+export function registerFurnitureType(definition) {
+  const errors = validateFurnitureType(definition);
+  if (registeredTypes.has(definition.type)) {
+    errors.push(`${definition.type}: type is already registered`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid furniture type:\n${errors.join('\n')}`);
+  }
+  registeredTypes.set(definition.type, definition);
+}
+
+export function getFurnitureType(type) {
+  return registeredTypes.get(type);
+}
+
+export function getFurnitureTypes() {
+  return Array.from(registeredTypes.values());
+}
+
+export function getMaterial(id) {
+  return registeredMaterials[id];
+}
+
+// The chosen finish of a product, or its default (first) one. Null for products without options.
+export function getProductOption(product, optionId) {
+  if (!product || !product.options) return null;
+  return product.options.find((option) => option.id === optionId) || product.options[0];
+}
+
+export function getProductPrice(product, optionId) {
+  const option = getProductOption(product, optionId);
+  return product.price + (option ? option.priceModifier : 0);
+}
+
+// Material slots of a furniture item: the type's own, with the chosen finish's swaps applied
+export function getItemSlots(item, definition) {
+  const option = getProductOption(findProduct(item), item.option);
+  return option && option.slots ? { ...definition.slots, ...option.slots } : definition.slots;
+}
+
+// Catalogue product an item was added from. Items saved before products were recorded on them
+// are matched by type and name.
+export function findProduct(item) {
+  const definition = getFurnitureType(item.type);
+  if (!definition) return null;
+  return (
+    definition.products.find((product) => product.id === item.productId) ||
+    definition.products.find((product) => product.name === item.name) ||
+    null
+  );
+}
+
+// Catalogue entries in the shape the dashboard and cart use
+export function getProductCatalog() {
+  return getFurnitureTypes().flatMap((definition) =>
+    definition.products.map((product) => ({
+      ...product,
+      type: definition.type,
+      color: definition.defaults.color,
+      shade: definition.defaults.shade,
+      scale: 1,
+    }))
+  );
+}
+
+Object.entries(furnitureData.materials).forEach(([id, material]) => registerMaterial(id, material));
+furnitureData.types.forEach(registerFurnitureType);
@@ -0,0 +1,61 @@
+import { getFootprint, normalizeRotation } from './furnitureBounds';
+import { getRoomOutline, getWallFrames } from './roomGeometry';
+
+// How close (in metres) an item's footprint has to come to a wall before its back is pulled flush
+const WALL_SNAP_DISTANCE = 0.4;
+
+export const GRID_STEPS = [0.1, 0.25, 0.5, 1];
+
+export function snapToGrid(value, step) {
+  return Math.round(value / step) * step;
+}
+
+// Half the item's current footprint measured along a wall's normal, i.e. how far its nearest edge
+// sits from its centre towards that wall
+function extentTowards(item, normal) {
+  const { width, depth } = getFootprint(item);
+  const angle = ((item.rotation || 0) * Math.PI) / 180;
+  // Local +X and -Z (the back) of the item in room coordinates
+  const across = Math.abs(normal.x * Math.cos(angle) - normal.z * Math.sin(angle));
+  const back = Math.abs(normal.x * Math.sin(angle) + normal.z * Math.cos(angle));
+  return (width * across + depth * back) / 2;
+}
+
+// The wall nearest to the item's footprint among those within WALL_SNAP_DISTANCE of it, with the
+// distance from the item's centre to that wall. Only walls the centre lies alongside count, so the
+// inner walls of an L-shaped room work too.
+function nearestWall(item, position, outline) {
+  let nearest = null;
+  getWallFrames(outline).forEach((wall) => {
+    const offset = { x: position.x - wall.start.x, z: position.z - wall.start.z };
+    const along = offset.x * wall.direction.x + offset.z * wall.direction.z;
+    const distance = offset.x * wall.normal.x + offset.z * wall.normal.z;
+    if (along < 0 || along > wall.length || distance <= 0) return;
+    const gap = Math.abs(distance - extentTowards(item, wall.normal));
+    if (gap <= WALL_SNAP_DISTANCE && (!nearest || gap < nearest.gap)) nearest = { wall, distance, gap };
+  });
+  return nearest;
+}
+
+// Snap a dragged item's target position. Grid snapping rounds X/Z to the step; wall snapping then
+// finds the nearest wall within WALL_SNAP_DISTANCE of the item's footprint, turns the item to face
+// away from it and pulls its back edge flush against it. Returns the updates to apply ({ x, z } and
+// maybe rotation).
+export function snapPosition(item, position, room, { gridStep = null, wall = false } = {}) {
+  let { x, z } = position;
+  if (gridStep) {
+    x = snapToGrid(x, gridStep);
+    z = snapToGrid(z, gridStep);
+  }
+
+  if (!wall) return { x, z };
+
+  const target = nearestWall(item, { x, z }, getRoomOutline(room));
+  if (!target) return { x, z };
+  const { normal } = target.wall;
+  const shift = getFootprint(item).depth / 2 - target.distance;
+  // Rotation that points the item's back (local -Z) at the wall, i.e. its front along the normal
+  const rotation = normalizeRotation((Math.atan2(normal.x, normal.z) * 180) / Math.PI);
+
+  return { x: x + normal.x * shift, z: z + normal.z * shift, rotation };
+}
@@ -0,0 +1,62 @@
+import { snapPosition, snapToGrid } from './furnitureSnap';
+
+// The sofa type is 3 m wide and 1 m deep
+const sofa = { id: 1, type: 'sofa', x: 0, z: 0, rotation: 0 };
+const room = { width: 10, depth: 8 };
+const wall = { wall: true };
+
+const expectSnap = (updates, expected) => {
+  expect(Object.keys(updates).sort()).toEqual(Object.keys(expected).sort());
+  Object.entries(expected).forEach(([key, value]) => expect(updates[key]).toBeCloseTo(value));
+};
+
+test('snapToGrid rounds to the nearest step', () => {
+  expect(snapToGrid(1.26, 0.25)).toBeCloseTo(1.25);
+  expect(snapToGrid(-0.74, 0.5)).toBeCloseTo(-0.5);
+});
+
+describe('snapPosition', () => {
+  test('pulls the back edge flush against the wall behind', () => {
+    expectSnap(snapPosition(sofa, { x: 0, z: -3.3 }, room, wall), { x: 0, z: -3.5, rotation: 0 });
+  });
+
+  test('turns an item dragged next to a side wall to back onto it', () => {
+    expectSnap(snapPosition(sofa, { x: -3.3, z: 0 }, room, wall), { x: -4.5, z: 0, rotation: 90 });
+    expectSnap(snapPosition(sofa, { x: 3.3, z: 0 }, room, wall), { x: 4.5, z: 0, rotation: 270 });
+  });
+
+  test('picks the nearest wall in a corner', () => {
+    // 0.3 m from the back wall but only 0.1 m from the left one
+    expectSnap(snapPosition(sofa, { x: -3.4, z: -3.2 }, room, wall), { x: -4.5, z: -3.2, rotation: 90 });
+  });
+
+  test('leaves items away from the walls alone', () => {
+    expect(snapPosition(sofa, { x: 0, z: 0 }, room, wall)).toEqual({ x: 0, z: 0 });
+  });
+
+  test('snaps to the inner wall of an L-shaped room', () => {
+    const lRoom = {
+      width: 6,
+      depth: 6,
+      outline: [
+        { x: -3, z: -3 },
+        { x: 3, z: -3 },
+        { x: 3, z: 0 },
+        { x: 0, z: 0 },
+        { x: 0, z: 3 },
+        { x: -3, z: 3 },
+      ],
+    };
+    const chair = { id: 2, type: 'chair', x: 0, z: 0 };
+    expectSnap(snapPosition(chair, { x: 1.5, z: -0.7 }, lRoom, wall), { x: 1.5, z: -0.5, rotation: 180 });
+  });
+
+  test('rounds to the grid before snapping to a wall', () => {
+    expectSnap(snapPosition(sofa, { x: 0.12, z: -3.26 }, room, { gridStep: 0.25, wall: true }), {
+      x: 0,
+      z: -3.5,
+      rotation: 0,
+    });
+    expect(snapPosition(sofa, { x: 0.12, z: 0.4 }, room, { gridStep: 0.25 })).toEqual({ x: 0, z: 0.5 });
+  });
+});
@@ -0,0 +1,80 @@
+// Lighting settings. Light fixtures (types with a "light" block) carry their own settings on the
+// item as `light: { on, brightness, temperature }`; the room carries the daylight preview as
+// `lighting: { timeOfDay, north }` — the hour (0-24) and the compass bearing the top of the floor
+// plan faces, so the sun comes in through the right windows.
+
+export const DEFAULT_LIGHTING = { timeOfDay: 12, north: 0 };
+
+export const TIME_PRESETS = [
+  { id: 'morning', name: 'Morning', timeOfDay: 8 },
+  { id: 'noon', name: 'Noon', timeOfDay: 12 },
+  { id: 'evening', name: 'Evening', timeOfDay: 19 },
+  { id: 'night', name: 'Night', timeOfDay: 22 },
+];
+
+export const TEMPERATURE_RANGE = { min: 1800, max: 6500 };
+
+const SUNRISE = 6;
+const SUNSET = 18;
+const MAX_SUN_ELEVATION = (60 * Math.PI) / 180;
+
+export function getRoomLighting(room) {
+  return { ...DEFAULT_LIGHTING, ...room.lighting };
+}
+
+// Settings for a light fixture, filling in what the item hasn't overridden from its type
+export function getLightSettings(item, definition) {
+  return {
+    on: true,
+    brightness: 1,
+    temperature: definition.light.temperature || 2700,
+    ...item.light,
+  };
+}
+
+export function formatTimeOfDay(hours) {
+  const whole = Math.floor(hours) % 24;
+  const minutes = Math.round((hours - Math.floor(hours)) * 60);
+  return `${String(whole).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Approximate RGB of a black body at the given temperature (Tanner Helland's fit), as #rrggbb
+export function kelvinToColor(kelvin) {
+  const t = Math.min(Math.max(kelvin, 1000), 40000) / 100;
+  const red = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+  const green = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+  const blue = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  const channel = (value) => Math.round(Math.min(Math.max(value, 0), 255)).toString(16).padStart(2, '0');
+  return `#${channel(red)}${channel(green)}${channel(blue)}`;
+}
+
+// Sun and sky for the room's time of day. The sun rises in the east at 06:00, crosses the south at
+// noon and sets in the west at 18:00; `direction` points from the room towards it in scene space.
+// Sky (ambient) light fades to a dim blue at night so lamps and ceiling lights carry the room.
+export function getDaylight(room) {
+  const { timeOfDay, north } = getRoomLighting(room);
+  const progress = (timeOfDay - SUNRISE) / (SUNSET - SUNRISE);
+  const elevation = progress > 0 && progress < 1 ? Math.sin(Math.PI * progress) * MAX_SUN_ELEVATION : 0;
+  const height = Math.sin(elevation);
+  // Compass bearing of the sun (90 = east, 180 = south), turned into the plan's frame where the
+  // top of the floor plan (-Z) faces `north`
+  const bearing = 90 + 180 * Math.min(Math.max(progress, 0), 1);
+  const planAngle = ((bearing - north) * Math.PI) / 180;
+  const strength = Math.min(height / Math.sin(MAX_SUN_ELEVATION), 1);
+
+  return {
+    sun: {
+      direction: {
+        x: Math.cos(elevation) * Math.sin(planAngle),
+        y: height,
+        z: -Math.cos(elevation) * Math.cos(planAngle),
+      },
+      intensity: 1.2 * Math.sqrt(strength),
+      color: kelvinToColor(2000 + 3500 * strength),
+    },
+    ambient: {
+      intensity: 0.12 + 0.48 * strength,
+      color: strength > 0 ? '#ffffff' : '#9fb4d9',
+    },
+  };
+}
@@ -0,0 +1,110 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { formatKilobytes, MAX_DESIGN_BYTES } from './designFormat';
+
+// Imported models are stored inline, as base64 data URLs, on the furniture item inside the design's
+// Firestore document. Base64 adds a third to the file, and the document also holds the thumbnail,
+// the room and the rest of the furniture, so a model may take up what is left of MAX_DESIGN_BYTES
+// after this allowance.
+const DESIGN_ALLOWANCE_BYTES = 200 * 1000;
+export const MAX_MODEL_BYTES = Math.floor(((MAX_DESIGN_BYTES - DESIGN_ALLOWANCE_BYTES) * 3) / 4);
+const MAX_TRIANGLES = 150000;
+
+// Anything bigger than this after unit detection is assumed not to be a piece of furniture
+const MAX_FURNITURE_SIZE = 6;
+
+function readFile(file, method) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}.`));
+    reader[method](file);
+  });
+}
+
+function parseGltf(data) {
+  return new Promise((resolve, reject) => {
+    new GLTFLoader().parse(data, '', resolve, reject);
+  });
+}
+
+function countTriangles(scene) {
+  let triangles = 0;
+  scene.traverse((object) => {
+    if (object.isMesh && object.geometry) {
+      const { index, attributes } = object.geometry;
+      triangles += (index ? index.count : attributes.position.count) / 3;
+    }
+  });
+  return triangles;
+}
+
+// Exporters disagree on units; most furniture models come in metres, centimetres or millimetres.
+// Step down by factors of ten until the largest side looks like a real piece of furniture.
+function detectUnitScale(size) {
+  const largest = Math.max(size.x, size.y, size.z);
+  let scale = 1;
+  while (largest * scale > MAX_FURNITURE_SIZE && scale > 1e-4) {
+    scale /= 10;
+  }
+  return scale;
+}
+
+// Read, validate and normalise a .glb/.gltf file from disk. Resolves with the model record stored
+// on the furniture item: the file as a data URL plus the scale and offset that put it on the
+// floor, centred on its footprint, at real-world size. Rejects with a user-facing message.
+export async function importModelFile(file) {
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (extension !== 'glb' && extension !== 'gltf') {
+    throw new Error('Only .glb and .gltf files can be imported.');
+  }
+  if (file.size > MAX_MODEL_BYTES) {
+    throw new Error(
+      `${file.name} is ${formatKilobytes(file.size)}; models must be under ${formatKilobytes(MAX_MODEL_BYTES)}.`
+    );
+  }
+
+  let gltf;
+  try {
+    const data = await readFile(file, extension === 'glb' ? 'readAsArrayBuffer' : 'readAsText');
+    gltf = await parseGltf(data);
+  } catch (error) {
+    throw new Error(
+      extension === 'gltf'
+        ? `${file.name} could not be loaded. .gltf files must embed their buffers and textures; export as .glb if unsure.`
+        : `${file.name} is not a valid glTF binary file.`
+    );
+  }
+
+  const scene = gltf.scene || (gltf.scenes && gltf.scenes[0]);
+  if (!scene) {
+    throw new Error(`${file.name} does not contain a scene.`);
+  }
+  const triangles = countTriangles(scene);
+  if (triangles === 0) {
+    throw new Error(`${file.name} does not contain any meshes.`);
+  }
+  if (triangles > MAX_TRIANGLES) {
+    throw new Error(
+      `${file.name} has ${Math.round(triangles).toLocaleString()} triangles; simplify it below ${MAX_TRIANGLES.toLocaleString()}.`
+    );
+  }
+
+  const box = new THREE.Box3().setFromObject(scene);
+  const size = box.getSize(new THREE.Vector3());
+  if (box.isEmpty() || Math.max(size.x, size.y, size.z) === 0) {
+    throw new Error(`${file.name} has no visible size.`);
+  }
+  const scale = detectUnitScale(size);
+  const center = box.getCenter(new THREE.Vector3());
+
+  return {
+    name: file.name.replace(/\.(glb|gltf)$/i, ''),
+    dataUrl: await readFile(file, 'readAsDataURL'),
+    scale,
+    // Applied before scaling: centres X/Z on the origin and stands the model on y = 0
+    offset: [-center.x, -box.min.y, -center.z],
+    footprint: { width: size.x * scale, depth: size.z * scale },
+    height: size.y * scale,
+  };
+}
@@ -0,0 +1,186 @@
+// Floor-plan helpers. A room may carry an `outline`: its corner points ({ x, z } in metres, in
+// order around the room, centred on the origin). Rooms without one are the plain width × depth
+// rectangle they have always been.
+
+const EPSILON = 1e-6;
+
+export function getRoomOutline(room) {
+  if (Array.isArray(room.outline) && room.outline.length >= 3) return room.outline;
+  const halfW = room.width / 2;
+  const halfD = room.depth / 2;
+  return [
+    { x: -halfW, z: -halfD },
+    { x: halfW, z: -halfD },
+    { x: halfW, z: halfD },
+    { x: -halfW, z: halfD },
+  ];
+}
+
+// Wall segments in outline order; wall i runs from corner i to corner i + 1
+export function getWalls(outline) {
+  return outline.map((start, i) => ({ start, end: outline[(i + 1) % outline.length] }));
+}
+
+// Walls with what the renderer and wall openings need: length, midpoint, unit direction (start to
+// end) and the unit normal pointing into the room
+export function getWallFrames(outline) {
+  return getWalls(outline).map((wall) => {
+    const length = wallLength(wall);
+    const direction = { x: (wall.end.x - wall.start.x) / length, z: (wall.end.z - wall.start.z) / length };
+    const mid = { x: (wall.start.x + wall.end.x) / 2, z: (wall.start.z + wall.end.z) / 2 };
+    let normal = { x: -direction.z, z: direction.x };
+    if (!isPointInOutline({ x: mid.x + normal.x * 0.01, z: mid.z + normal.z * 0.01 }, outline)) {
+      normal = { x: -normal.x, z: -normal.z };
+    }
+    return { ...wall, length, direction, mid, normal };
+  });
+}
+
+export function getOutlineBounds(outline) {
+  return outline.reduce(
+    (acc, { x, z }) => ({
+      minX: Math.min(acc.minX, x),
+      maxX: Math.max(acc.maxX, x),
+      minZ: Math.min(acc.minZ, z),
+      maxZ: Math.max(acc.maxZ, z),
+    }),
+    { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity }
+  );
+}
+
+export function wallLength({ start, end }) {
+  return Math.hypot(end.x - start.x, end.z - start.z);
+}
+
+export function polygonArea(outline) {
+  let area = 0;
+  outline.forEach((point, i) => {
+    const next = outline[(i + 1) % outline.length];
+    area += point.x * next.z - next.x * point.z;
+  });
+  return area / 2;
+}
+
+// Ray-casting point-in-polygon; points on an edge count as inside
+export function isPointInOutline(point, outline) {
+  let inside = false;
+  for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+    const a = outline[i];
+    const b = outline[j];
+    if (distanceToSegment(point, a, b) < EPSILON) return true;
+    if ((a.z > point.z) !== (b.z > point.z) && point.x < ((b.x - a.x) * (point.z - a.z)) / (b.z - a.z) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function distanceToSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.z - a.z) * dz) / lengthSq));
+  return Math.hypot(point.x - (a.x + t * dx), point.z - (a.z + t * dz));
+}
+
+// Proper crossing of two segments (touching at an end point or running along each other doesn't count)
+function segmentsCross(p1, p2, q1, q2) {
+  const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+  const d1 = cross(q1, q2, p1);
+  const d2 = cross(q1, q2, p2);
+  const d3 = cross(p1, p2, q1);
+  const d4 = cross(p1, p2, q2);
+  return ((d1 > EPSILON && d2 < -EPSILON) || (d1 < -EPSILON && d2 > EPSILON)) &&
+    ((d3 > EPSILON && d4 < -EPSILON) || (d3 < -EPSILON && d4 > EPSILON));
+}
+
+// Whether an axis-aligned rectangle ({ minX, maxX, minZ, maxZ }) lies entirely inside the outline
+export function isRectInOutline(rect, outline) {
+  const corners = [
+    { x: rect.minX, z: rect.minZ },
+    { x: rect.maxX, z: rect.minZ },
+    { x: rect.maxX, z: rect.maxZ },
+    { x: rect.minX, z: rect.maxZ },
+  ];
+  if (!corners.every((corner) => isPointInOutline(corner, outline))) return false;
+  // A concave corner poking into the rectangle (the inside of an L) leaves all four corners inside
+  const pokesIn = outline.some(
+    (point) =>
+      point.x > rect.minX + EPSILON && point.x < rect.maxX - EPSILON &&
+      point.z > rect.minZ + EPSILON && point.z < rect.maxZ - EPSILON
+  );
+  if (pokesIn) return false;
+  const rectEdges = corners.map((corner, i) => [corner, corners[(i + 1) % 4]]);
+  return !getWalls(outline).some(({ start, end }) => rectEdges.some(([a, b]) => segmentsCross(a, b, start, end)));
+}
+
+// Distance from a point to the first wall hit travelling in direction (dx, dz), or Infinity
+export function castToWall(point, direction, outline) {
+  let nearest = Infinity;
+  getWalls(outline).forEach(({ start, end }) => {
+    const ex = end.x - start.x;
+    const ez = end.z - start.z;
+    const denom = direction.x * ez - direction.z * ex;
+    if (Math.abs(denom) < EPSILON) return;
+    const t = ((start.x - point.x) * ez - (start.z - point.z) * ex) / denom;
+    const u = ((start.x - point.x) * direction.z - (start.z - point.z) * direction.x) / denom;
+    if (t > EPSILON && u >= -EPSILON && u <= 1 + EPSILON) nearest = Math.min(nearest, t);
+  });
+  return nearest;
+}
+
+// Where a line at `value` on one axis (x = value or z = value) crosses the outline, as sorted
+// positions on the other axis. Consecutive pairs are the stretches inside the room.
+export function outlineCrossings(outline, axis, value) {
+  const other = axis === 'x' ? 'z' : 'x';
+  const hits = [];
+  getWalls(outline).forEach(({ start, end }) => {
+    // Half-open test so a line through a corner counts it once
+    if ((start[axis] <= value && end[axis] > value) || (end[axis] <= value && start[axis] > value)) {
+      const t = (value - start[axis]) / (end[axis] - start[axis]);
+      hits.push(start[other] + t * (end[other] - start[other]));
+    }
+  });
+  return hits.sort((a, b) => a - b);
+}
+
+// Problems with an outline drawn in the editor, as readable messages
+export function validateOutline(outline) {
+  const errors = [];
+  if (outline.length < 3) {
+    errors.push('A room needs at least three corners.');
+    return errors;
+  }
+  const walls = getWalls(outline);
+  if (walls.some((wall) => wallLength(wall) < 0.1)) {
+    errors.push('Every wall must be at least 0.1 m long.');
+  }
+  const crossing = walls.some((wall, i) =>
+    walls.some((other, j) => Math.abs(i - j) > 1 && !(i === 0 && j === walls.length - 1) &&
+      segmentsCross(wall.start, wall.end, other.start, other.end))
+  );
+  if (crossing) errors.push('Walls must not cross each other.');
+  if (Math.abs(polygonArea(outline)) < 1) errors.push('The floor must be at least 1 m².');
+  return errors;
+}
+
+// Move an outline so its bounding box is centred on the origin, and report its size
+export function centreOutline(outline) {
+  const bounds = getOutlineBounds(outline);
+  const cx = (bounds.minX + bounds.maxX) / 2;
+  const cz = (bounds.minZ + bounds.maxZ) / 2;
+  const round = (n) => Math.round(n * 1000) / 1000;
+  return {
+    outline: outline.map(({ x, z }) => ({ x: round(x - cx), z: round(z - cz) })),
+    width: round(bounds.maxX - bounds.minX),
+    depth: round(bounds.maxZ - bounds.minZ),
+  };
+}
+
+// Resize an outline to a new bounding box, e.g. when the Width/Depth inputs are edited
+export function scaleOutline(outline, width, depth) {
+  const bounds = getOutlineBounds(outline);
+  const sx = width / (bounds.maxX - bounds.minX);
+  const sz = depth / (bounds.maxZ - bounds.minZ);
+  return outline.map(({ x, z }) => ({ x: x * sx, z: z * sz }));
+}
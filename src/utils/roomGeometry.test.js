@@ -0,0 +1,122 @@
+import {
+  castToWall,
+  centreOutline,
+  getRoomOutline,
+  getWallFrames,
+  isPointInOutline,
+  isRectInOutline,
+  outlineCrossings,
+  polygonArea,
+  scaleOutline,
+  validateOutline,
+} from './roomGeometry';
+
+// 6 m square with the +X/+Z quarter cut out
+const L_OUTLINE = [
+  { x: -3, z: -3 },
+  { x: 3, z: -3 },
+  { x: 3, z: 0 },
+  { x: 0, z: 0 },
+  { x: 0, z: 3 },
+  { x: -3, z: 3 },
+];
+
+describe('getRoomOutline', () => {
+  test('is the width × depth rectangle for rooms without an outline', () => {
+    expect(getRoomOutline({ width: 4, depth: 2 })).toEqual([
+      { x: -2, z: -1 },
+      { x: 2, z: -1 },
+      { x: 2, z: 1 },
+      { x: -2, z: 1 },
+    ]);
+  });
+
+  test('uses the outline of a shaped room', () => {
+    expect(getRoomOutline({ width: 6, depth: 6, outline: L_OUTLINE })).toBe(L_OUTLINE);
+  });
+});
+
+describe('L-shaped outline', () => {
+  test('has the area of the square less the cut-out quarter', () => {
+    expect(Math.abs(polygonArea(L_OUTLINE))).toBeCloseTo(27);
+  });
+
+  test('points wall normals into the room, including the inner walls', () => {
+    // + 0 turns -0 into 0 so the comparison ignores the sign of zero
+    const normals = getWallFrames(L_OUTLINE).map(({ normal }) => ({ x: normal.x + 0, z: normal.z + 0 }));
+    expect(normals).toEqual([
+      { x: 0, z: 1 },
+      { x: -1, z: 0 },
+      { x: 0, z: -1 },
+      { x: -1, z: 0 },
+      { x: 0, z: -1 },
+      { x: 1, z: 0 },
+    ]);
+  });
+
+  test('counts points in the notch as outside and points on a wall as inside', () => {
+    expect(isPointInOutline({ x: -1.5, z: 1.5 }, L_OUTLINE)).toBe(true);
+    expect(isPointInOutline({ x: 1.5, z: 1.5 }, L_OUTLINE)).toBe(false);
+    expect(isPointInOutline({ x: 1.5, z: 0 }, L_OUTLINE)).toBe(true);
+  });
+
+  test('rejects a rectangle across the inner corner even with all four corners inside', () => {
+    expect(isRectInOutline({ minX: -1, maxX: 1, minZ: -1, maxZ: 1 }, L_OUTLINE)).toBe(false);
+    expect(isRectInOutline({ minX: -2, maxX: 0, minZ: 0, maxZ: 2 }, L_OUTLINE)).toBe(true);
+  });
+
+  test('casts to the inner walls before the outer ones', () => {
+    expect(castToWall({ x: 1.5, z: -1.5 }, { x: 0, z: 1 }, L_OUTLINE)).toBeCloseTo(1.5);
+    expect(castToWall({ x: -1.5, z: 1.5 }, { x: 1, z: 0 }, L_OUTLINE)).toBeCloseTo(1.5);
+    expect(castToWall({ x: -1.5, z: -1.5 }, { x: 1, z: 0 }, L_OUTLINE)).toBeCloseTo(4.5);
+  });
+
+  test('finds no wall from outside along a ray that misses', () => {
+    expect(castToWall({ x: 5, z: 5 }, { x: 1, z: 0 }, L_OUTLINE)).toBe(Infinity);
+  });
+
+  test('is a valid floor plan', () => {
+    expect(validateOutline(L_OUTLINE)).toEqual([]);
+  });
+});
+
+describe('outlineCrossings', () => {
+  test('gives the stretch inside each arm of the L', () => {
+    expect(outlineCrossings(L_OUTLINE, 'x', 1.5)).toEqual([-3, 0]);
+    expect(outlineCrossings(L_OUTLINE, 'x', -1.5)).toEqual([-3, 3]);
+    expect(outlineCrossings(L_OUTLINE, 'z', 1.5)).toEqual([-3, 0]);
+  });
+
+  test('counts a line through a corner once, leaving pairs', () => {
+    expect(outlineCrossings(L_OUTLINE, 'x', 0)).toEqual([-3, 0]);
+    expect(outlineCrossings(L_OUTLINE, 'z', 0)).toEqual([-3, 0]);
+  });
+
+  test('finds nothing outside the outline', () => {
+    expect(outlineCrossings(L_OUTLINE, 'x', 4)).toEqual([]);
+  });
+});
+
+describe('validateOutline', () => {
+  test('reports crossing walls and too few corners', () => {
+    const bowTie = [
+      { x: 0, z: 0 },
+      { x: 2, z: 2 },
+      { x: 2, z: 0 },
+      { x: 0, z: 2 },
+    ];
+    expect(validateOutline(bowTie)).toContain('Walls must not cross each other.');
+    expect(validateOutline(L_OUTLINE.slice(0, 2))).toEqual(['A room needs at least three corners.']);
+  });
+});
+
+describe('centreOutline and scaleOutline', () => {
+  test('centre a shifted L on the origin and report its size', () => {
+    const shifted = L_OUTLINE.map(({ x, z }) => ({ x: x + 3, z: z + 1 }));
+    expect(centreOutline(shifted)).toEqual({ outline: L_OUTLINE, width: 6, depth: 6 });
+  });
+
+  test('stretch the L to a new bounding box', () => {
+    expect(scaleOutline(L_OUTLINE, 12, 3)).toEqual(L_OUTLINE.map(({ x, z }) => ({ x: x * 2, z: z * 0.5 })));
+  });
+});
@@ -0,0 +1,42 @@
+import * as THREE from 'three';
+
+// Geometries and materials shared by every furniture mesh that looks the same, so a room full of
+// chairs builds a handful of each instead of one per mesh. Textures are already shared: useLoader
+// caches them by URL, and materials are keyed by the texture they use.
+//
+// Cached objects live for the whole session and must never be disposed by a component. Plain
+// materials hold no GPU memory of their own (shader programs are shared by three.js anyway), so
+// the cache only grows with the number of distinct colours actually used.
+
+const GEOMETRY_CLASSES = {
+  box: THREE.BoxGeometry,
+  cylinder: THREE.CylinderGeometry,
+  cone: THREE.ConeGeometry,
+  sphere: THREE.SphereGeometry,
+};
+
+const geometries = new Map();
+const materials = new Map();
+
+export function getSharedGeometry(kind, args = []) {
+  const key = `${kind}:${args.join(',')}`;
+  if (!geometries.has(key)) {
+    geometries.set(key, new GEOMETRY_CLASSES[kind](...args));
+  }
+  return geometries.get(key);
+}
+
+// `params` are MeshStandardMaterial parameters: map, color, roughness, metalness, emissive and
+// emissiveIntensity
+export function getSharedMaterial(params) {
+  const { map, color, roughness, metalness, emissive, emissiveIntensity } = params;
+  const key = [map ? map.uuid : '', color, roughness, metalness, emissive, emissiveIntensity].join('|');
+  if (!materials.has(key)) {
+    materials.set(key, new THREE.MeshStandardMaterial(params));
+  }
+  return materials.get(key);
+}
+
+export function getCacheStats() {
+  return { geometries: geometries.size, materials: materials.size };
+}
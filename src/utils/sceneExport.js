@@ -0,0 +1,148 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/examples/jsm/exporters/OBJExporter.js';
+import { createZip } from './zip';
+
+// Name of the group in Scene that holds the room shell and furniture
+export const EXPORT_ROOT_NAME = 'design-export';
+
+export function slugify(name) {
+  return (name || 'design').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'design';
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Look-alike furniture is drawn as instanced meshes; write it out as one mesh per item, since OBJ
+// has no instancing and not every glTF importer reads EXT_mesh_gpu_instancing
+function expandInstances(root) {
+  const instanced = [];
+  root.traverse((object) => {
+    if (object.isInstancedMesh) instanced.push(object);
+  });
+  instanced.forEach((mesh) => {
+    const group = new THREE.Group();
+    group.position.copy(mesh.position);
+    group.quaternion.copy(mesh.quaternion);
+    group.scale.copy(mesh.scale);
+    for (let i = 0; i < mesh.count; i++) {
+      const single = new THREE.Mesh(mesh.geometry, mesh.material);
+      mesh.getMatrixAt(i, single.matrix);
+      single.matrix.decompose(single.position, single.quaternion, single.scale);
+      single.castShadow = mesh.castShadow;
+      single.receiveShadow = mesh.receiveShadow;
+      group.add(single);
+    }
+    mesh.parent.add(group);
+    mesh.removeFromParent();
+  });
+}
+
+// Copy of the room and furniture without editor overlays (grid, highlights), with cloned materials
+// so export-time renaming never touches the live scene. The room is lifted so its floor sits on
+// y = 0; units stay metres and Y stays up, which is what glTF, OBJ and Blender expect.
+function buildExportObject(scene, roomHeight) {
+  const source = scene.getObjectByName(EXPORT_ROOT_NAME);
+  if (!source) {
+    throw new Error('The design canvas is not ready yet.');
+  }
+  source.updateWorldMatrix(true, true);
+
+  const copy = source.clone(true);
+  expandInstances(copy);
+  const helpers = [];
+  copy.traverse((object) => {
+    if (object.userData.helper) helpers.push(object);
+    if (object.isMesh) {
+      object.material = Array.isArray(object.material)
+        ? object.material.map((material) => material.clone())
+        : object.material.clone();
+    }
+  });
+  helpers.forEach((object) => object.removeFromParent());
+
+  const root = new THREE.Group();
+  root.name = 'Design';
+  copy.position.y += roomHeight / 2;
+  root.add(copy);
+  root.updateMatrixWorld(true);
+  return root;
+}
+
+export async function exportGLB(scene, roomHeight) {
+  const object = buildExportObject(scene, roomHeight);
+  const result = await new GLTFExporter().parseAsync(object, { binary: true, onlyVisible: true });
+  return new Blob([result], { type: 'model/gltf-binary' });
+}
+
+// File name a texture was loaded from, for textures that came from public/textures
+function textureFileName(texture) {
+  const source = texture && texture.image && (texture.image.currentSrc || texture.image.src);
+  if (!source) return null;
+  return decodeURIComponent(new URL(source, window.location.href).pathname.split('/').pop());
+}
+
+function colorLine(keyword, color) {
+  const hex = color.getHex();
+  const channel = (shift) => (((hex >> shift) & 255) / 255).toFixed(4);
+  return `${keyword} ${channel(16)} ${channel(8)} ${channel(0)}`;
+}
+
+// OBJ + MTL + textures, zipped. The OBJ exporter only writes `usemtl` lines, so every material
+// gets a unique name here and the MTL is written alongside it.
+export async function exportOBJ(scene, roomHeight, baseName) {
+  const object = buildExportObject(scene, roomHeight);
+  const materials = new Map();
+  const textures = new Map();
+
+  object.traverse((child) => {
+    if (!child.isMesh) return;
+    // OBJ allows one material per mesh
+    if (Array.isArray(child.material)) child.material = child.material[0];
+    const material = child.material;
+    if (!materials.has(material.uuid)) {
+      material.name = `material_${materials.size + 1}`;
+      materials.set(material.uuid, material);
+    }
+  });
+
+  const mtl = [`# ${baseName} materials`];
+  materials.forEach((material) => {
+    mtl.push('', `newmtl ${material.name}`);
+    mtl.push(colorLine('Kd', material.color || new THREE.Color('#ffffff')));
+    mtl.push('Ka 0.0000 0.0000 0.0000', 'Ks 0.0000 0.0000 0.0000');
+    if (material.emissive && material.emissive.getHex() !== 0) {
+      mtl.push(colorLine('Ke', material.emissive));
+    }
+    mtl.push(`Ns ${Math.round((1 - (material.roughness !== undefined ? material.roughness : 1)) * 100)}`);
+    mtl.push(`d ${material.opacity !== undefined ? material.opacity : 1}`, 'illum 2');
+    const file = textureFileName(material.map);
+    if (file) {
+      textures.set(file, `/textures/${file}`);
+      mtl.push(`map_Kd textures/${file}`);
+    }
+  });
+
+  const obj = `# ${baseName}\nmtllib ${baseName}.mtl\n${new OBJExporter().parse(object)}`;
+  const textureFiles = await Promise.all(
+    Array.from(textures.entries()).map(async ([file, url]) => {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`Could not read texture ${file}.`);
+      return { name: `textures/${file}`, data: await response.arrayBuffer() };
+    })
+  );
+
+  return createZip([
+    { name: `${baseName}.obj`, data: obj },
+    { name: `${baseName}.mtl`, data: `${mtl.join('\n')}\n` },
+    ...textureFiles,
+  ]);
+}
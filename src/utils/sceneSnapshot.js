@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+import { OutputPass } from 'three/examples/jsm/postprocessing/OutputPass.js';
+
+export const SNAPSHOT_PRESETS = [
+  { id: 'hd', name: 'HD (1280 × 720)', width: 1280, height: 720 },
+  { id: 'fhd', name: 'Full HD (1920 × 1080)', width: 1920, height: 1080 },
+  { id: 'qhd', name: 'QHD (2560 × 1440)', width: 2560, height: 1440 },
+  { id: '4k', name: '4K (3840 × 2160)', width: 3840, height: 2160 },
+];
+
+// Stretch the camera to the output aspect ratio without changing how much of the room is in view
+function fitCamera(camera, aspect) {
+  if (camera.isPerspectiveCamera) {
+    const saved = { aspect: camera.aspect };
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+    return () => {
+      camera.aspect = saved.aspect;
+      camera.updateProjectionMatrix();
+    };
+  }
+
+  const saved = { left: camera.left, right: camera.right, top: camera.top, bottom: camera.bottom };
+  const halfHeight = (camera.top - camera.bottom) / 2;
+  const centerX = (camera.left + camera.right) / 2;
+  camera.left = centerX - halfHeight * aspect;
+  camera.right = centerX + halfHeight * aspect;
+  camera.updateProjectionMatrix();
+  return () => {
+    Object.assign(camera, saved);
+    camera.updateProjectionMatrix();
+  };
+}
+
+// The largest image the device can render offscreen: render targets are limited by the
+// renderbuffer size and the viewport by the viewport dimensions
+function getMaxRenderSize(gl) {
+  const context = gl.getContext();
+  const maxRenderbuffer = context.getParameter(context.MAX_RENDERBUFFER_SIZE);
+  const [maxViewportWidth, maxViewportHeight] = context.getParameter(context.MAX_VIEWPORT_DIMS);
+  return { width: Math.min(maxRenderbuffer, maxViewportWidth), height: Math.min(maxRenderbuffer, maxViewportHeight) };
+}
+
+// Copy a render target's pixels to a data URL. WebGL rows run bottom to top, canvas rows top to bottom.
+function targetToDataUrl(gl, target, type, quality) {
+  const { width, height } = target;
+  const pixels = new Uint8Array(width * height * 4);
+  gl.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+  const image = new ImageData(width, height);
+  const rowLength = width * 4;
+  for (let row = 0; row < height; row++) {
+    image.data.set(pixels.subarray(row * rowLength, (row + 1) * rowLength), (height - row - 1) * rowLength);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').putImageData(image, 0, 0);
+  return canvas.toDataURL(type, quality);
+}
+
+// Render the current view at an arbitrary size and return it as a data URL. The scene is drawn into
+// an offscreen render target, so the canvas on screen is left alone, then passed through the same
+// tone mapping and colour output the canvas uses (three only applies those when drawing to the
+// screen). Editor overlays marked userData.helper are hidden.
+export function renderSnapshot(
+  { gl, scene, camera },
+  width,
+  height,
+  { transparent = false, background = '#ffffff', type = 'image/png', quality } = {}
+) {
+  const maxSize = getMaxRenderSize(gl);
+  if (width > maxSize.width || height > maxSize.height) {
+    throw new Error(`This device can render at most ${maxSize.width} × ${maxSize.height} pixels.`);
+  }
+
+  const renderTarget = gl.getRenderTarget();
+  const clearColor = gl.getClearColor(new THREE.Color());
+  const clearAlpha = gl.getClearAlpha();
+  const sceneBackground = scene.background;
+  const hidden = [];
+  scene.traverse((object) => {
+    if (object.userData.helper && object.visible) {
+      object.visible = false;
+      hidden.push(object);
+    }
+  });
+  const restoreCamera = fitCamera(camera, width / height);
+  // Linear, high-precision colour for the scene, then 8-bit display colour to read back
+  const sceneTarget = new THREE.WebGLRenderTarget(width, height, { type: THREE.HalfFloatType, samples: 4 });
+  const outputTarget = new THREE.WebGLRenderTarget(width, height);
+  const outputPass = new OutputPass();
+
+  try {
+    scene.background = null;
+    gl.setClearColor(background, transparent ? 0 : 1);
+    gl.setRenderTarget(sceneTarget);
+    gl.render(scene, camera);
+    outputPass.render(gl, outputTarget, sceneTarget);
+    return targetToDataUrl(gl, outputTarget, type, quality);
+  } finally {
+    restoreCamera();
+    hidden.forEach((object) => {
+      object.visible = true;
+    });
+    scene.background = sceneBackground;
+    gl.setClearColor(clearColor, clearAlpha);
+    gl.setRenderTarget(renderTarget);
+    sceneTarget.dispose();
+    outputTarget.dispose();
+    outputPass.dispose();
+  }
+}
+
+// Small JPEG of the current view stored with saved designs
+export function renderThumbnail(handle) {
+  return renderSnapshot(handle, 480, 300, { type: 'image/jpeg', quality: 0.8, background: '#f3f4f6' });
+}
+
+export function downloadDataUrl(dataUrl, filename) {
+  const link = document.createElement('a');
+  link.href = dataUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
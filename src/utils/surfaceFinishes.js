@@ -0,0 +1,31 @@
+import finishData from '../data/surfaceFinishes.json';
+
+// Wall, floor and ceiling finishes (see src/data/surfaceFinishes.json). Each names a texture in
+// public/textures and the real-world area one copy of the image covers (`tileSize`, in metres), so
+// textures repeat at true scale however big the room is. Rooms store the chosen file names as
+// `wallTexture`, `floorTexture` and `ceilingTexture`.
+
+const ROOM_KEYS = { wall: 'wallTexture', floor: 'floorTexture', ceiling: 'ceilingTexture' };
+const DEFAULT_TILE_SIZE = { width: 2, height: 2 };
+
+export function getFinishes(surface) {
+  return finishData[surface];
+}
+
+// The finish for a texture file, falling back to the surface's first finish when none is set.
+// Files that aren't in the list (older saved designs) keep working with a default tile size.
+export function getFinish(surface, file) {
+  const finishes = finishData[surface];
+  if (!file) return finishes[0];
+  return finishes.find((finish) => finish.file === file) || { id: file, name: file, file, tileSize: DEFAULT_TILE_SIZE };
+}
+
+export function getRoomFinishes(room) {
+  return Object.fromEntries(
+    Object.entries(ROOM_KEYS).map(([surface, key]) => [surface, getFinish(surface, room[key])])
+  );
+}
+
+export function getRoomFinishKey(surface) {
+  return ROOM_KEYS[surface];
+}
@@ -0,0 +1,69 @@
+import { getBounds, getMount } from './furnitureBounds';
+import { distanceToSegment, getOutlineBounds, getRoomOutline, getWalls, isPointInOutline } from './roomGeometry';
+import { getOpeningPlacements } from './wallOpenings';
+
+// First-person walkthrough. The walker is a circle on the floor plan that has to stay inside the
+// room, clear of the walls and of every floor-standing item; ceiling fixtures are overhead.
+
+export const EYE_HEIGHT_RANGE = { min: 1, max: 2, step: 0.05, default: 1.6 };
+
+// Radius (metres) of the walker's footprint, so the camera stops short of walls instead of clipping into them
+export const BODY_RADIUS = 0.25;
+
+// How far inside the first door the walkthrough starts
+const DOOR_START_DISTANCE = 0.8;
+const SEARCH_STEP = 0.25;
+
+export function isWalkable(point, room, furniture, radius = BODY_RADIUS) {
+  const outline = getRoomOutline(room);
+  if (!isPointInOutline(point, outline)) return false;
+  if (getWalls(outline).some(({ start, end }) => distanceToSegment(point, start, end) < radius)) return false;
+  return !furniture.some((item) => {
+    if (getMount(item) === 'ceiling') return false;
+    const bounds = getBounds(item);
+    const dx = Math.max(bounds.minX - point.x, 0, point.x - bounds.maxX);
+    const dz = Math.max(bounds.minZ - point.z, 0, point.z - bounds.maxZ);
+    return Math.hypot(dx, dz) < radius;
+  });
+}
+
+// Where a step from `from` towards `to` ends: the full step if it's clear, otherwise only its X or
+// Z part so the walker slides along whatever is in the way, otherwise nowhere. A walker that is
+// already blocked (furniture was moved onto it) may step anywhere inside the room to get free.
+export function moveWithCollisions(from, to, room, furniture) {
+  if (!isWalkable(from, room, furniture)) {
+    return isPointInOutline(to, getRoomOutline(room)) ? to : from;
+  }
+  const candidates = [to, { x: to.x, z: from.z }, { x: from.x, z: to.z }];
+  return candidates.find((point) => isWalkable(point, room, furniture)) || from;
+}
+
+// Starting spot and heading (`yaw` in radians, 0 looks towards -Z): just inside the first door
+// looking into the room, otherwise the free spot nearest the middle of the floor plan.
+export function getWalkStart(room, furniture) {
+  const door = getOpeningPlacements(room).find(({ opening }) => opening.type === 'door');
+  if (door) {
+    const { a, b, wall } = door;
+    const position = {
+      x: (a.x + b.x) / 2 + wall.normal.x * DOOR_START_DISTANCE,
+      z: (a.z + b.z) / 2 + wall.normal.z * DOOR_START_DISTANCE,
+    };
+    if (isWalkable(position, room, furniture)) {
+      return { position, yaw: Math.atan2(-wall.normal.x, -wall.normal.z) };
+    }
+  }
+
+  const bounds = getOutlineBounds(getRoomOutline(room));
+  const centre = { x: (bounds.minX + bounds.maxX) / 2, z: (bounds.minZ + bounds.maxZ) / 2 };
+  const reach = Math.max(bounds.maxX - bounds.minX, bounds.maxZ - bounds.minZ);
+  for (let ring = 0; ring * SEARCH_STEP <= reach; ring++) {
+    for (let i = -ring; i <= ring; i++) {
+      for (let j = -ring; j <= ring; j++) {
+        if (Math.max(Math.abs(i), Math.abs(j)) !== ring) continue;
+        const position = { x: centre.x + i * SEARCH_STEP, z: centre.z + j * SEARCH_STEP };
+        if (isWalkable(position, room, furniture)) return { position, yaw: 0 };
+      }
+    }
+  }
+  return { position: centre, yaw: 0 };
+}
@@ -0,0 +1,138 @@
+import { getBounds, getHeight, getMount } from './furnitureBounds';
+import { getRoomOutline, getWallFrames } from './roomGeometry';
+
+// Doors and windows live on the room as `openings`:
+//   { id, type: 'door' | 'window', wall, offset, width, height, sill, hinge }
+// `wall` is an index into the room's walls (see getWalls), `offset` the distance in metres from the
+// wall's start corner to the middle of the opening, `sill` the height of its bottom edge above the
+// floor (always 0 for doors) and `hinge` which side a door hangs on, seen from inside the room.
+
+export const OPENING_TYPES = {
+  door: { label: 'Door', width: 0.9, height: 2.1, sill: 0 },
+  window: { label: 'Window', width: 1.2, height: 1.2, sill: 0.9 },
+};
+
+const MIN_SIZE = 0.3;
+// Openings stay this far from wall ends and the ceiling so every wall keeps a frame around them
+const EDGE_GAP = 0.05;
+// Depth of the strip in front of a window that should be kept clear of anything taller than the sill
+const WINDOW_CLEARANCE = 0.5;
+const EPSILON = 1e-6;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Fit an opening to its wall and the room height. Returns null when the wall no longer exists
+// (after the floor plan changed) or is too short to hold any opening.
+export function clampOpening(opening, room, walls = getWallFrames(getRoomOutline(room))) {
+  const wall = walls[opening.wall];
+  if (!wall || wall.length < MIN_SIZE + 2 * EDGE_GAP) return null;
+  const width = clamp(opening.width || 0, MIN_SIZE, wall.length - 2 * EDGE_GAP);
+  const sill = opening.type === 'door' ? 0 : clamp(opening.sill || 0, 0, room.height - MIN_SIZE - EDGE_GAP);
+  const height = clamp(opening.height || 0, MIN_SIZE, room.height - sill - EDGE_GAP);
+  const offset = clamp(opening.offset || 0, width / 2 + EDGE_GAP, wall.length - width / 2 - EDGE_GAP);
+  return { ...opening, width, height, sill, offset };
+}
+
+// A new door or window on free wall space: the middle of the longest wall if nothing is there,
+// otherwise the next spot along the walls (longest first) that doesn't overlap an existing opening.
+// Returns null when there is no room left.
+export function createOpening(type, room) {
+  const walls = getWallFrames(getRoomOutline(room));
+  const existing = room.openings || [];
+  const { width, height, sill } = OPENING_TYPES[type];
+  const order = walls.map((wall, i) => i).sort((a, b) => walls[b].length - walls[a].length);
+  for (const wall of order) {
+    for (const fraction of [0.5, 0.25, 0.75, 0.125, 0.875]) {
+      const opening = clampOpening(
+        { id: Date.now(), type, wall, offset: walls[wall].length * fraction, width, height, sill },
+        room,
+        walls
+      );
+      if (!opening || existing.some((other) => openingsOverlap(other, opening))) continue;
+      return type === 'door' ? { ...opening, hinge: 'left' } : opening;
+    }
+  }
+  return null;
+}
+
+export function openingsOverlap(a, b) {
+  return a.wall === b.wall && Math.abs(a.offset - b.offset) < (a.width + b.width) / 2 + EDGE_GAP;
+}
+
+// Keep only openings that still fit the room, e.g. after the floor plan or room height changed
+export function fitOpenings(openings, room) {
+  const walls = getWallFrames(getRoomOutline(room));
+  return (openings || []).map((opening) => clampOpening(opening, room, walls)).filter(Boolean);
+}
+
+// "Door 1", "Window 2"…, numbered per type in the order they were added
+export function getOpeningLabels(openings) {
+  const counts = {};
+  return (openings || []).reduce((labels, opening) => {
+    counts[opening.type] = (counts[opening.type] || 0) + 1;
+    return { ...labels, [opening.id]: `${OPENING_TYPES[opening.type].label} ${counts[opening.type]}` };
+  }, {});
+}
+
+// Where each opening sits on the floor plan: the wall frame, its two edges (a → b follows the wall
+// direction), the hinge and latch corners for doors, and the floor area that has to stay clear
+// (the door's swing square, or a strip in front of a window).
+export function getOpeningPlacements(room) {
+  const walls = getWallFrames(getRoomOutline(room));
+  return fitOpenings(room.openings, room).map((opening) => {
+    const wall = walls[opening.wall];
+    const along = (distance) => ({
+      x: wall.start.x + wall.direction.x * distance,
+      z: wall.start.z + wall.direction.z * distance,
+    });
+    const a = along(opening.offset - opening.width / 2);
+    const b = along(opening.offset + opening.width / 2);
+    // Facing the wall from inside, "right" is the normal turned a quarter clockwise
+    const bIsRight = wall.direction.x * wall.normal.z - wall.direction.z * wall.normal.x > 0;
+    const [left, right] = bIsRight ? [a, b] : [b, a];
+    const hinge = opening.hinge === 'right' ? right : left;
+    const latch = opening.hinge === 'right' ? left : right;
+    const depth = opening.type === 'door' ? opening.width : WINDOW_CLEARANCE;
+    const inward = (point) => ({ x: point.x + wall.normal.x * depth, z: point.z + wall.normal.z * depth });
+    return { opening, wall, a, b, hinge, latch, zone: [a, b, inward(b), inward(a)] };
+  });
+}
+
+// Separating-axis test between a convex quad and axis-aligned bounds; touching doesn't count
+function zoneOverlapsBounds(zone, bounds) {
+  const corners = [
+    { x: bounds.minX, z: bounds.minZ },
+    { x: bounds.maxX, z: bounds.minZ },
+    { x: bounds.maxX, z: bounds.maxZ },
+    { x: bounds.minX, z: bounds.maxZ },
+  ];
+  const axes = [{ x: 1, z: 0 }, { x: 0, z: 1 }, ...zone.slice(0, 2).map((point, i) => {
+    const next = zone[i + 1];
+    return { x: -(next.z - point.z), z: next.x - point.x };
+  })];
+  return axes.every((axis) => {
+    const project = (points) => points.map(({ x, z }) => x * axis.x + z * axis.z);
+    const zoneRange = project(zone);
+    const boundsRange = project(corners);
+    return (
+      Math.min(...zoneRange) < Math.max(...boundsRange) - EPSILON &&
+      Math.max(...zoneRange) > Math.min(...boundsRange) + EPSILON
+    );
+  });
+}
+
+// Furniture standing in a door's swing or in front of a window (only items taller than the sill
+// count for windows; ceiling fixtures never do). Returns { openings: { openingId: [itemId] }, items: { itemId: [openingId] } }.
+export function findBlockedOpenings(furniture, room) {
+  const result = { openings: {}, items: {} };
+  getOpeningPlacements(room).forEach(({ opening, zone }) => {
+    furniture.forEach((item) => {
+      if (getMount(item) === 'ceiling') return;
+      if (opening.type === 'window' && getHeight(item) <= opening.sill) return;
+      if (!zoneOverlapsBounds(zone, getBounds(item))) return;
+      result.openings[opening.id] = [...(result.openings[opening.id] || []), item.id];
+      result.items[item.id] = [...(result.items[item.id] || []), opening.id];
+    });
+  });
+  return result;
+}